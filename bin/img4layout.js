@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { contentHash } = require('../lib/utils');
+const { parseProcessingOptions } = require('../lib/options');
+const { prepareWatermark } = require('../lib/watermark');
+const { writeSnippetFiles } = require('../lib/snippets');
+const { writeManifest } = require('../lib/manifest');
+const { REPORT_FILE, summarizeBatch, writeReport } = require('../lib/quality');
+const { processImage, planBatch } = require('../lib/process');
+
+const USAGE = `
+Usage:
+  img4layout <files, folders or globs...> -o <output dir> [flags]
+
+Flags:
+  -o, --out <dir>          Output directory (created if missing)
+  --options <json|@file>   Processing options, the same JSON as the upload's "options" field
+  --widths <list>          Shorthand for options.widths, e.g. 400,800
+  --formats <list>         Shorthand for options.formats, e.g. webp,avif
+  --no-retina              Shorthand for "retina": false
+  --naming <original|hash> Shorthand for options.naming
+  --watermark <logo>       Logo for options.watermark (the option defaults to true)
+  --incremental            Skip sources unchanged since the last run into the same directory
+  -h, --help               Show this help
+
+Folders expand to the images directly inside them; quoted globs support
+*, ?, ** and {a,b}, e.g. "assets/**/*.{jpg,png}".
+
+Exits with 1 when any image fails and 2 on invalid arguments.
+`;
+
+// Extensions picked up when expanding folders and globs
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.gif', '.tif', '.tiff', '.svg', '.heic', '.heif'];
+
+// File in the output directory recording what each source produced, so
+// incremental runs can skip unchanged sources and stale outputs get removed
+const STATE_FILE = '.img4layout.json';
+
+// Helper function to parse the command line into { inputs, flags }.
+// Throws on unknown flags or missing values.
+function parseArgs(argv) {
+  const inputs = [];
+  const flags = { retina: true, incremental: false, help: false };
+  const valueFlags = { '-o': 'out', '--out': 'out', '--options': 'options', '--widths': 'widths', '--formats': 'formats', '--naming': 'naming', '--watermark': 'watermark' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (valueFlags[arg]) {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      flags[valueFlags[arg]] = argv[++i];
+    } else if (arg === '--no-retina') {
+      flags.retina = false;
+    } else if (arg === '--incremental') {
+      flags.incremental = true;
+    } else if (arg === '-h' || arg === '--help') {
+      flags.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown flag: ${arg}`);
+    } else {
+      inputs.push(arg);
+    }
+  }
+  return { inputs, flags };
+}
+
+// Helper function to build the options JSON from --options and the shorthand flags
+function buildRawOptions(flags) {
+  let input = {};
+  if (flags.options) {
+    const raw = flags.options.startsWith('@') ? fs.readFileSync(flags.options.slice(1), 'utf8') : flags.options;
+    try {
+      input = JSON.parse(raw);
+    } catch (error) {
+      throw new Error('--options must be valid JSON');
+    }
+  }
+  if (flags.widths) {
+    input.widths = flags.widths.split(',').map(Number);
+  }
+  if (flags.formats) {
+    input.formats = flags.formats.split(',');
+  }
+  if (!flags.retina) {
+    input.retina = false;
+  }
+  if (flags.naming) {
+    input.naming = flags.naming;
+  }
+  if (flags.watermark && input.watermark === undefined) {
+    input.watermark = true;
+  }
+  return JSON.stringify(input);
+}
+
+// Helper function to turn one glob segment like "*.{jpg,png}" into a RegExp
+function segmentPattern(segment) {
+  let source = '';
+  let inBraces = false;
+  for (const char of segment) {
+    if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      source += '(?:';
+      inBraces = true;
+    } else if (char === '}' && inBraces) {
+      source += ')';
+      inBraces = false;
+    } else if (char === ',' && inBraces) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Helper function to list a directory, or nothing when it can't be read
+function readDirectory(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+}
+
+// Helper function to expand a glob pattern into the paths it matches.
+// Hidden files and folders only match segments that start with a dot.
+function expandGlob(pattern) {
+  const segments = pattern.split(/[\\/]+/).filter(Boolean);
+  const root = path.isAbsolute(pattern) ? path.parse(path.resolve(pattern)).root : '.';
+
+  const walk = (dir, index) => {
+    if (index === segments.length) {
+      return [dir];
+    }
+    const segment = segments[index];
+
+    // ** matches any number of folders, including none
+    if (segment === '**') {
+      const matches = walk(dir, index + 1);
+      readDirectory(dir)
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+        .forEach(entry => matches.push(...walk(path.join(dir, entry.name), index)));
+      return matches;
+    }
+
+    if (!/[*?{]/.test(segment)) {
+      const next = path.join(dir, segment);
+      return fs.existsSync(next) ? walk(next, index + 1) : [];
+    }
+
+    const regex = segmentPattern(segment);
+    return readDirectory(dir)
+      .filter(entry => regex.test(entry.name) && (!entry.name.startsWith('.') || segment.startsWith('.')))
+      .flatMap(entry => walk(path.join(dir, entry.name), index + 1));
+  };
+
+  return walk(root, 0);
+}
+
+// Helper function to check that a path is an image file worth picking up from a folder or glob
+function isImageFile(filePath) {
+  return IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) && fs.statSync(filePath).isFile();
+}
+
+// Helper function to resolve the command line inputs into a de-duplicated list
+// of source files. Files named explicitly are kept whatever their extension.
+function collectSources(inputs) {
+  const sources = new Map();
+  const add = filePath => sources.set(path.resolve(filePath), filePath);
+
+  for (const input of inputs) {
+    if (/[*?{]/.test(input)) {
+      const matches = expandGlob(input).filter(isImageFile);
+      if (matches.length === 0) {
+        console.warn(`Warning: ${input} matched no images`);
+      }
+      matches.sort().forEach(add);
+    } else if (!fs.existsSync(input)) {
+      throw new Error(`File not found: ${input}`);
+    } else if (fs.statSync(input).isDirectory()) {
+      const matches = readDirectory(input)
+        .map(entry => path.join(input, entry.name))
+        .filter(isImageFile);
+      if (matches.length === 0) {
+        console.warn(`Warning: ${input} contains no images`);
+      }
+      matches.sort().forEach(add);
+    } else {
+      add(input);
+    }
+  }
+
+  return [...sources.keys()];
+}
+
+// Helper function to read the state of the previous run into an output directory
+function loadState(outDir) {
+  try {
+    const state = JSON.parse(fs.readFileSync(path.join(outDir, STATE_FILE), 'utf8'));
+    return state && typeof state.sources === 'object' ? state : { sources: {} };
+  } catch (error) {
+    return { sources: {} };
+  }
+}
+
+// Helper function to list every file an image result points at, crops included
+function resultOutputs(result) {
+  return [result, ...Object.values(result.crops || {})]
+    .flatMap(set => Object.values(set.files));
+}
+
+// Main function to process the sources into the output directory; resolves with the exit code
+async function main() {
+  let inputs;
+  let flags;
+  let options;
+  let sources;
+
+  try {
+    ({ inputs, flags } = parseArgs(process.argv.slice(2)));
+    if (flags.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    if (inputs.length === 0 || !flags.out) {
+      throw new Error('Expected at least one input and an output directory (-o)');
+    }
+
+    options = parseProcessingOptions(buildRawOptions(flags));
+    if (options.sprite || options.iconSet) {
+      throw new Error('Sprite sheets and icon sets are only available from the server');
+    }
+    if (flags.watermark && !options.watermark) {
+      throw new Error('--watermark cannot be combined with "watermark": false');
+    }
+    if (options.watermark) {
+      options.watermark = await prepareWatermark(options.watermark, flags.watermark ? { path: flags.watermark } : null);
+    }
+
+    sources = collectSources(inputs);
+    if (sources.length === 0) {
+      throw new Error('No images to process');
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('Run "img4layout --help" for usage instructions');
+    return 2;
+  }
+
+  const outDir = path.resolve(flags.out);
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const job = { id: 'cli', dir: outDir, urlPrefix: '' };
+  const previous = loadState(outDir);
+  const state = { sources: {} };
+
+  // Everything that shapes the outputs besides the source itself; the
+  // watermark counts by its hash, not its image
+  const optionsHash = contentHash(JSON.stringify({
+    ...options,
+    watermark: options.watermark && options.watermark.hash
+  }));
+
+  const files = sources.map(source => ({ path: source, originalname: path.basename(source) }));
+  const results = [];
+  let failed = 0;
+  let skipped = 0;
+
+  // One image at a time, so large folders don't hold every decoded source in memory
+  for (const { file, useHash } of planBatch(files, options)) {
+    const name = path.relative(outDir, file.path);
+
+    try {
+      const key = contentHash(JSON.stringify([
+        contentHash(await fs.promises.readFile(file.path)), file.originalname, useHash, optionsHash
+      ]));
+      const last = previous.sources[name];
+
+      let result;
+      if (flags.incremental && last && last.key === key &&
+          last.outputs.every(filename => fs.existsSync(path.join(outDir, filename)))) {
+        result = last.result;
+        skipped++;
+        console.log(`Unchanged: ${file.path}`);
+      } else {
+        result = await processImage(file.path, file.originalname, useHash, options, job);
+      }
+
+      state.sources[name] = { key, outputs: resultOutputs(result), result };
+      results.push(result);
+    } catch (error) {
+      failed++;
+      console.error(`Failed: ${file.path}: ${error.message}`);
+
+      // Keep the outputs of the last good run, so the sweep below leaves them alone
+      if (previous.sources[name]) {
+        state.sources[name] = previous.sources[name];
+      }
+    }
+  }
+
+  // Remove outputs of earlier runs that no source produced this time, i.e.
+  // those of sources that were removed or now produce other files
+  const current = new Set(Object.values(state.sources).flatMap(entry => entry.outputs));
+  Object.values(previous.sources)
+    .flatMap(entry => entry.outputs || [])
+    .filter(filename => !current.has(filename))
+    .forEach(filename => fs.rmSync(path.join(outDir, path.basename(filename)), { force: true }));
+
+  writeSnippetFiles(job, results);
+  writeManifest(job, results);
+  writeReport(job, results);
+  fs.writeFileSync(path.join(outDir, STATE_FILE), JSON.stringify(state, null, 2));
+
+  console.log(`\n${results.length - skipped} processed, ${skipped} unchanged, ${failed} failed -> ${outDir}`);
+  if (results.length > 0) {
+    const summary = summarizeBatch(results);
+    const ssim = summary.averageSsim === null ? 'n/a' : `${summary.averageSsim} (lowest ${summary.minSsim})`;
+    console.log(`Average savings ${Math.round(summary.averageSavings * 100)}%, SSIM ${ssim}, see ${REPORT_FILE}`);
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
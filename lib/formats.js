@@ -0,0 +1,91 @@
+const path = require('path');
+
+// Output formats the pipeline can write. `defaults` are the sharp encoder
+// settings used when an upload doesn't override them, `settings` lists what
+// a client may override: a [min, max] range or 'boolean'. Formats without
+// `alpha` support are flattened onto a white background. To fit a size budget
+// lossy settings lower `quality`, lossless ones raise `budgetEffort` instead.
+const OUTPUT_FORMATS = {
+  png: {
+    extension: 'png',
+    contentType: 'image/png',
+    alpha: true,
+    budgetEffort: 'compressionLevel',
+    isLossless: settings => settings.palette === false,
+    defaults: { compressionLevel: 9, adaptiveFiltering: true, quality: 90 },
+    settings: {
+      quality: [1, 100],
+      compressionLevel: [0, 9],
+      effort: [1, 10],
+      palette: 'boolean',
+      adaptiveFiltering: 'boolean'
+    }
+  },
+  webp: {
+    extension: 'webp',
+    contentType: 'image/webp',
+    alpha: true,
+    animated: true,
+    budgetEffort: 'effort',
+    isLossless: settings => settings.lossless === true,
+    defaults: { quality: 90, lossless: false },
+    settings: {
+      quality: [1, 100],
+      effort: [0, 6],
+      lossless: 'boolean'
+    }
+  },
+  avif: {
+    extension: 'avif',
+    contentType: 'image/avif',
+    alpha: true,
+    budgetEffort: 'effort',
+    isLossless: settings => settings.lossless === true,
+    defaults: { quality: 60, effort: 4, lossless: false },
+    settings: {
+      quality: [1, 100],
+      effort: [0, 9],
+      lossless: 'boolean'
+    }
+  },
+  jpeg: {
+    extension: 'jpg',
+    contentType: 'image/jpeg',
+    alpha: false,
+    budgetEffort: null,
+    isLossless: () => false,
+    defaults: { quality: 85, progressive: true, mozjpeg: true },
+    settings: {
+      quality: [1, 100],
+      progressive: 'boolean'
+    }
+  },
+  // GIF is only written for animated inputs, as a fallback to animated WebP.
+  // Pixels that barely change between frames are reused to keep files small
+  gif: {
+    extension: 'gif',
+    contentType: 'image/gif',
+    alpha: true,
+    animated: true,
+    animatedOnly: true,
+    budgetEffort: 'effort',
+    isLossless: () => true,
+    defaults: { effort: 10, colours: 256, interFrameMaxError: 8 },
+    settings: {
+      effort: [1, 10],
+      colours: [2, 256],
+      interFrameMaxError: [0, 32]
+    }
+  }
+};
+
+// Helper function to find the output format a file name belongs to, by extension
+function formatForFile(filename) {
+  const ext = path.extname(filename).slice(1).toLowerCase();
+  return Object.keys(OUTPUT_FORMATS).find(format => OUTPUT_FORMATS[format].extension === ext);
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  formatForFile
+};
@@ -0,0 +1,22 @@
+// The package's entry point for build tools and scripts: the processing
+// pipeline and the manifest helpers, without starting the server
+// (`npm start` runs server.js)
+const { parseProcessingOptions } = require('./options');
+const { processImage, planBatch } = require('./process');
+const { MANIFEST_FILE, writeManifest, loadManifest } = require('./manifest');
+const { SNIPPET_FILES, writeSnippetFiles } = require('./snippets');
+const { REPORT_FILE, summarizeBatch, writeReport } = require('./quality');
+
+module.exports = {
+  parseProcessingOptions,
+  processImage,
+  planBatch,
+  MANIFEST_FILE,
+  writeManifest,
+  loadManifest,
+  SNIPPET_FILES,
+  writeSnippetFiles,
+  REPORT_FILE,
+  summarizeBatch,
+  writeReport
+};
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const { contentHash } = require('./utils');
+
+// Machine-readable list of a batch's outputs for build tools, written next to
+// them and added to every ZIP download
+const MANIFEST_FILE = 'images-manifest.json';
+
+const MANIFEST_VERSION = 1;
+
+// Helper function to describe the variants of one set (an image or one of its
+// crops) for the manifest. Paths are relative to the manifest.
+function manifestVariants(job, set) {
+  return Object.entries(set.files).map(([key, url]) => {
+    const filename = url.slice(job.urlPrefix.length);
+    const { format, width, height, bytes, density, descriptor } = set.variants[key];
+    return {
+      path: filename,
+      format,
+      width,
+      height,
+      bytes,
+      hash: contentHash(fs.readFileSync(path.join(job.dir, filename))),
+      density,
+      descriptor
+    };
+  });
+}
+
+// Helper function to build the manifest of a batch from its upload results.
+// Images are listed by original name (with its folder, for archive uploads);
+// files sharing a name in the batch are listed by their suffixed output name
+// instead, e.g. logo-d3x5j.png.
+function buildManifest(job, results) {
+  const nameCounts = new Map();
+  results.forEach(result => nameCounts.set(result.originalName, (nameCounts.get(result.originalName) || 0) + 1));
+
+  const images = {};
+  for (const result of results) {
+    const entry = {
+      variants: manifestVariants(job, result),
+      placeholder: result.placeholder
+    };
+    if (result.sizes) {
+      entry.sizes = result.sizes;
+    }
+    if (result.crops) {
+      entry.crops = {};
+      for (const [name, crop] of Object.entries(result.crops)) {
+        entry.crops[name] = {
+          ratio: crop.ratio,
+          variants: manifestVariants(job, crop),
+          placeholder: crop.placeholder
+        };
+      }
+    }
+
+    const name = nameCounts.get(result.originalName) > 1
+      ? `${result.outputName}${path.extname(result.originalName)}`
+      : result.originalName;
+    images[name] = entry;
+  }
+
+  return {
+    version: MANIFEST_VERSION,
+    generatedAt: new Date().toISOString(),
+    images
+  };
+}
+
+// Helper function to write the manifest of a batch into its directory
+function writeManifest(job, results) {
+  const manifest = buildManifest(job, results);
+  fs.writeFileSync(path.join(job.dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+// Helper function for build tools to read a manifest, given its path or the
+// directory holding it. Returns `{ manifest, resolve }`, where
+// `resolve('src/hero.jpg')` (or `resolve('hero.jpg', { crop: 'square' })`)
+// gives that image's responsive set with the absolute `file` of every
+// variant, or null when the manifest doesn't list it. Names are looked up as
+// given first (for images listed with their folder), then by base name.
+function loadManifest(location) {
+  const manifestPath = fs.statSync(location).isDirectory() ? path.join(location, MANIFEST_FILE) : location;
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported manifest version ${manifest.version} in ${manifestPath}`);
+  }
+  const dir = path.dirname(path.resolve(manifestPath));
+
+  const resolve = (name, { crop = null } = {}) => {
+    const entry = manifest.images[path.posix.normalize(name.replace(/\\/g, '/'))] || manifest.images[path.basename(name)];
+    const set = entry && crop ? (entry.crops || {})[crop] : entry;
+    if (!set) {
+      return null;
+    }
+    return {
+      ...set,
+      variants: set.variants.map(variant => ({ ...variant, file: path.join(dir, variant.path) })),
+      sizes: entry.sizes
+    };
+  };
+
+  return { manifest, resolve };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  buildManifest,
+  writeManifest,
+  loadManifest
+};
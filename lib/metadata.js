@@ -0,0 +1,347 @@
+// Metadata kinds the `metadata` option can keep. GPS coordinates live inside
+// the EXIF block but are only kept when asked for separately.
+const METADATA_KINDS = ['exif', 'xmp', 'iptc', 'gps'];
+
+// EXIF (TIFF) field sizes by type, the tag pointing to the GPS IFD, and the
+// IFD0 text tags reported in the upload response
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const GPS_IFD_TAG = 0x8825;
+
+const EXIF_SUMMARY_TAGS = { 0x010f: 'make', 0x0110: 'model', 0x0131: 'software', 0x0132: 'dateTime' };
+
+// Helper function to find where the TIFF structure of an EXIF block starts;
+// EXIF from JPEG files carries an "Exif\0\0" prefix, other containers don't
+function exifTiffStart(buffer, start) {
+  return buffer.toString('latin1', start, start + 6) === 'Exif\0\0' ? start + 6 : start;
+}
+
+// Helper function to read the IFDs of the TIFF structure at tiffStart (the
+// body of an EXIF block). Returns null when there is no valid TIFF header.
+function tiffReader(buffer, tiffStart) {
+  const order = buffer.toString('latin1', tiffStart, tiffStart + 2);
+  if ((order !== 'II' && order !== 'MM') || tiffStart + 8 > buffer.length) {
+    return null;
+  }
+  const little = order === 'II';
+  const u16 = offset => (little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const u32 = offset => (little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+  
+  const ifd = relativeOffset => {
+    const start = tiffStart + relativeOffset;
+    const entries = [];
+    if (relativeOffset < 8 || start + 2 > buffer.length) {
+      return { start, entries };
+    }
+    const count = u16(start);
+    for (let i = 0; i < count; i++) {
+      const entryOffset = start + 2 + i * 12;
+      if (entryOffset + 12 > buffer.length) {
+        break;
+      }
+      const type = u16(entryOffset + 2);
+      const size = (TIFF_TYPE_SIZES[type] || 1) * u32(entryOffset + 4);
+      entries.push({
+        tag: u16(entryOffset),
+        type,
+        size,
+        entryOffset,
+        valueOffset: size > 4 ? tiffStart + u32(entryOffset + 8) : entryOffset + 8
+      });
+    }
+    return { start, entries };
+  };
+  
+  return { ifd0: ifd(u32(tiffStart + 4)), ifd, u32 };
+}
+
+// Helper function to blank out the GPS IFD of the EXIF block at tiffStart in
+// place: its entries and their values are zeroed and its entry count set to 0,
+// so the block keeps its size. Returns whether there was GPS data.
+function blankGps(buffer, tiffStart) {
+  const tiff = tiffReader(buffer, tiffStart);
+  const pointer = tiff && tiff.ifd0.entries.find(entry => entry.tag === GPS_IFD_TAG);
+  if (!pointer) {
+    return false;
+  }
+  const gps = tiff.ifd(tiff.u32(pointer.entryOffset + 8));
+  if (gps.entries.length === 0) {
+    return false;
+  }
+  for (const entry of gps.entries) {
+    if (entry.size > 4 && entry.valueOffset + entry.size <= buffer.length) {
+      buffer.fill(0, entry.valueOffset, entry.valueOffset + entry.size);
+    }
+    buffer.fill(0, entry.entryOffset, entry.entryOffset + 12);
+  }
+  buffer.fill(0, gps.start, gps.start + 2);
+  return true;
+}
+
+// Helper function to summarize an EXIF block: camera, software, date and
+// whether it holds a location
+function describeExif(exif) {
+  try {
+    const tiff = tiffReader(exif, exifTiffStart(exif, 0));
+    if (!tiff) {
+      return null;
+    }
+    const summary = { gps: false };
+    for (const entry of tiff.ifd0.entries) {
+      const field = EXIF_SUMMARY_TAGS[entry.tag];
+      if (field && entry.type === 2 && entry.valueOffset + entry.size <= exif.length) {
+        summary[field] = exif.toString('latin1', entry.valueOffset, entry.valueOffset + entry.size).replace(/\0+$/, '').trim();
+      }
+      if (entry.tag === GPS_IFD_TAG) {
+        summary.gps = tiff.ifd(tiff.u32(entry.entryOffset + 8)).entries.length > 0;
+      }
+    }
+    return summary;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Helper function to read the description ("Display P3", "sRGB IEC61966-2.1")
+// of an ICC profile
+function iccDescription(icc) {
+  try {
+    const tagCount = icc.readUInt32BE(128);
+    for (let i = 0; i < tagCount; i++) {
+      const entry = 132 + i * 12;
+      if (icc.toString('latin1', entry, entry + 4) !== 'desc') {
+        continue;
+      }
+      const offset = icc.readUInt32BE(entry + 4);
+      const type = icc.toString('latin1', offset, offset + 4);
+      if (type === 'desc') {
+        const length = icc.readUInt32BE(offset + 8);
+        return icc.toString('latin1', offset + 12, offset + 12 + length).replace(/\0+$/, '');
+      }
+      if (type === 'mluc') {
+        // First record of a multi-localized (ICC v4) string, stored as UTF-16BE
+        const length = icc.readUInt32BE(offset + 20);
+        const start = offset + icc.readUInt32BE(offset + 24);
+        return Buffer.from(icc.subarray(start, start + length)).swap16().toString('utf16le');
+      }
+    }
+  } catch (error) {
+    // Malformed profile
+  }
+  return null;
+}
+
+// Helper function to build an EXIF block (TIFF structure) holding only an
+// orientation, which replaces a stripped EXIF block so auto-orientation still works
+function orientationExif(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM\0*', 0, 'latin1');
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(0x0112, 10);
+  tiff.writeUInt16BE(3, 12);
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  return tiff;
+}
+
+// Helper function to compute the CRC-32 of a PNG chunk
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Helper function to check that a segment or chunk of `length` bytes at
+// `offset` fits in the file, so a truncated upload fails instead of being cut
+// short. `label` names the structure in the error ("PNG chunk").
+function checkBounds(input, offset, length, label) {
+  if (offset + length > input.length) {
+    throw new Error(`Malformed ${label} at byte ${offset}: it runs past the end of the file`);
+  }
+}
+
+// Helper function to drop the metadata segments a JPEG shouldn't pass on
+function sanitizeJpeg(input, keep) {
+  const parts = [input.subarray(0, 2)];
+  let offset = 2;
+  while (offset + 4 <= input.length && input[offset] === 0xff) {
+    const marker = input[offset + 1];
+    if (marker === 0xda) {
+      break; // Start of scan: the rest is image data
+    }
+    const length = input.readUInt16BE(offset + 2);
+    if (length < 2) {
+      throw new Error(`Malformed JPEG segment at byte ${offset}: invalid length ${length}`);
+    }
+    checkBounds(input, offset, length + 2, 'JPEG segment');
+    const end = offset + 2 + length;
+    const segment = Buffer.from(input.subarray(offset, end));
+    const signature = name => segment.toString('latin1', 4, 4 + name.length) === name;
+    
+    let drop = false;
+    if (marker === 0xe1 && signature('Exif\0\0')) {
+      drop = !keep.exif;
+      if (drop && keep.orientation) {
+        const tiff = orientationExif(keep.orientation);
+        const header = Buffer.from([0xff, 0xe1, 0, 0]);
+        header.writeUInt16BE(tiff.length + 8, 2);
+        parts.push(Buffer.concat([header, Buffer.from('Exif\0\0', 'latin1'), tiff]));
+      } else if (!drop && !keep.gps) {
+        blankGps(segment, 10);
+      }
+    } else if (marker === 0xe1 && (signature('http://ns.adobe.com/xap/1.0/\0') || signature('http://ns.adobe.com/xmp/extension/\0'))) {
+      drop = !keep.xmp;
+    } else if (marker === 0xed && signature('Photoshop 3.0\0')) {
+      drop = !keep.iptc;
+    }
+    if (!drop) {
+      parts.push(segment);
+    }
+    offset = end;
+  }
+  parts.push(input.subarray(offset));
+  return Buffer.concat(parts);
+}
+
+// Helper function to drop the metadata chunks a PNG shouldn't pass on
+function sanitizePng(input, keep) {
+  const parts = [input.subarray(0, 8)];
+  let offset = 8;
+  while (offset + 12 <= input.length) {
+    const length = input.readUInt32BE(offset);
+    const type = input.toString('latin1', offset + 4, offset + 8);
+    checkBounds(input, offset, length + 12, 'PNG chunk');
+    const end = offset + 12 + length;
+    let chunk = input.subarray(offset, end);
+    const keyword = ['tEXt', 'zTXt', 'iTXt'].includes(type)
+      ? chunk.toString('latin1', 8, 8 + length).split('\0')[0]
+      : null;
+    
+    let drop = false;
+    if (type === 'eXIf') {
+      drop = !keep.exif;
+      if (drop && keep.orientation) {
+        const tiff = orientationExif(keep.orientation);
+        const replacement = Buffer.alloc(tiff.length + 12);
+        replacement.writeUInt32BE(tiff.length, 0);
+        replacement.write('eXIf', 4, 'latin1');
+        tiff.copy(replacement, 8);
+        replacement.writeUInt32BE(crc32(replacement.subarray(4, 8 + tiff.length)), 8 + tiff.length);
+        parts.push(replacement);
+      } else if (!drop && !keep.gps) {
+        chunk = Buffer.from(chunk);
+        if (blankGps(chunk, exifTiffStart(chunk, 8))) {
+          chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + length)), 8 + length);
+        }
+      }
+    } else if (keyword === 'XML:com.adobe.xmp') {
+      drop = !keep.xmp;
+    } else if (keyword === 'Raw profile type iptc') {
+      drop = !keep.iptc;
+    } else if (keyword === 'Raw profile type exif' || keyword === 'Raw profile type APP1') {
+      // Hex-encoded EXIF can't be cleaned in place, so it only stays along with its GPS data
+      drop = !keep.exif || !keep.gps;
+    }
+    if (!drop) {
+      parts.push(chunk);
+    }
+    offset = end;
+  }
+  parts.push(input.subarray(offset));
+  return Buffer.concat(parts);
+}
+
+// Helper function to drop the metadata chunks a WebP shouldn't pass on
+function sanitizeWebp(input, keep) {
+  const parts = [];
+  let vp8x = null;
+  let hasExif = false;
+  let offset = 12;
+  while (offset + 8 <= input.length) {
+    const type = input.toString('latin1', offset, offset + 4);
+    const size = input.readUInt32LE(offset + 4);
+    checkBounds(input, offset, size + 8, 'WebP chunk');
+    // The padding byte of an odd-sized last chunk is sometimes left out
+    const end = Math.min(input.length, offset + 8 + size + (size % 2));
+    const chunk = Buffer.from(input.subarray(offset, end));
+    
+    let drop = false;
+    if (type === 'EXIF') {
+      drop = !keep.exif;
+      if (drop && keep.orientation) {
+        const tiff = orientationExif(keep.orientation);
+        const header = Buffer.from('EXIF\0\0\0\0', 'latin1');
+        header.writeUInt32LE(tiff.length, 4);
+        parts.push(header, tiff);
+      } else if (!drop && !keep.gps) {
+        blankGps(chunk, exifTiffStart(chunk, 8));
+      }
+      hasExif = !drop || Boolean(keep.orientation);
+    } else if (type === 'XMP ') {
+      drop = !keep.xmp;
+    } else if (type === 'VP8X') {
+      vp8x = chunk;
+    }
+    if (!drop) {
+      parts.push(chunk);
+    }
+    offset = end;
+  }
+  
+  // The extended header flags which metadata chunks follow
+  if (vp8x) {
+    vp8x[8] &= ~((hasExif ? 0 : 0x08) | (keep.xmp ? 0 : 0x04));
+  }
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+// Helper function to remove the metadata an upload shouldn't pass on (see
+// the `metadata` option) from a JPEG, PNG or WebP file. `keep` has a flag per
+// metadata kind, plus the orientation to preserve when EXIF is stripped.
+// Returns the cleaned file, or null for other formats, whose metadata can't be filtered.
+// Throws when a segment or chunk is malformed, as its metadata can't be
+// filtered reliably either.
+function sanitizeMetadata(input, format, keep) {
+  if (format === 'jpeg' && input[0] === 0xff && input[1] === 0xd8) {
+    return sanitizeJpeg(input, keep);
+  }
+  if (format === 'png' && input.toString('latin1', 1, 4) === 'PNG') {
+    return sanitizePng(input, keep);
+  }
+  if (format === 'webp' && input.toString('latin1', 0, 4) === 'RIFF' && input.toString('latin1', 8, 12) === 'WEBP') {
+    return sanitizeWebp(input, keep);
+  }
+  return null;
+}
+
+// Helper function to describe the metadata of an uploaded image for the response
+function describeSourceMetadata(metadata) {
+  return {
+    format: metadata.format,
+    width: metadata.width,
+    height: metadata.height,
+    orientation: metadata.orientation || 1,
+    colorSpace: metadata.space,
+    iccProfile: metadata.icc ? (iccDescription(metadata.icc) || 'embedded') : null,
+    exif: metadata.exif ? describeExif(metadata.exif) : null,
+    xmp: Boolean(metadata.xmp),
+    iptc: Boolean(metadata.iptc)
+  };
+}
+
+module.exports = {
+  METADATA_KINDS,
+  sanitizeMetadata,
+  describeSourceMetadata
+};
@@ -0,0 +1,383 @@
+const { httpError, parseByteSize } = require('./utils');
+const { OUTPUT_FORMATS } = require('./formats');
+const { METADATA_KINDS } = require('./metadata');
+const { WATERMARK_PRESETS, WATERMARK_POSITIONS, MAX_WATERMARK_TEXT } = require('./watermark');
+
+// Processing options used for anything the upload's `options` field leaves out
+const DEFAULT_OPTIONS = {
+  widths: [1200],
+  formats: ['png', 'webp', 'avif', 'jpeg'],
+  retina: true,
+  breakpoints: null,
+  sizes: '100vw',
+  budgets: {},
+  crops: [],
+  focalPoints: {},
+  sprite: null,
+  iconSet: null,
+  ttl: null,
+  naming: 'original',
+  watermark: null,
+  autoOrient: true,
+  metadata: { exif: false, xmp: false, iptc: false, gps: false }
+};
+
+const MAX_WIDTHS = 5;
+
+const MAX_WIDTH_PX = 5000;
+
+const MAX_BREAKPOINTS = 10;
+
+const MAX_BUDGETS = 50;
+
+const MAX_CROPS = 6;
+
+// Named aspect-ratio crops that can be requested by name alone
+const CROP_PRESETS = {
+  hero: '16:9',
+  avatar: '1:1',
+  card: '4:5'
+};
+
+// How a crop picks its region when the image has no focal point
+const CROP_STRATEGIES = ['attention', 'entropy', 'center'];
+
+// File naming modes: "original" keeps the uploaded base names (duplicates get
+// a random suffix), "hash" also adds a hash of each output's bytes
+const NAMING_MODES = ['original', 'hash'];
+
+// Helper function to parse one entry of `options.crops` into { name, ratio, label, strategy }
+function parseCrop(entry) {
+  const crop = typeof entry === 'string' ? { name: entry } : entry;
+  if (!crop || typeof crop !== 'object' || typeof crop.name !== 'string' || !/^[a-z0-9][a-z0-9-]{0,31}$/i.test(crop.name)) {
+    throw httpError(400, 'Each crop needs a name of up to 32 letters, digits and dashes');
+  }
+  
+  const label = crop.ratio !== undefined ? String(crop.ratio) : CROP_PRESETS[crop.name];
+  if (!label) {
+    throw httpError(400, `Unknown crop preset: ${crop.name}`);
+  }
+  const match = label.match(/^(\d+(?:\.\d+)?)(?::(\d+(?:\.\d+)?))?$/);
+  const ratio = match ? parseFloat(match[1]) / (match[2] ? parseFloat(match[2]) : 1) : NaN;
+  if (!(ratio > 0.1 && ratio < 10)) {
+    throw httpError(400, `Invalid ratio for crop ${crop.name}: use a ratio like "16:9" between 1:10 and 10:1`);
+  }
+  
+  const strategy = crop.strategy || 'attention';
+  if (!CROP_STRATEGIES.includes(strategy)) {
+    throw httpError(400, `Crop strategy must be one of: ${CROP_STRATEGIES.join(', ')}`);
+  }
+  
+  return { name: crop.name, ratio, label, strategy };
+}
+
+// Helper function to parse and validate the JSON `options` field sent with an upload.
+// Returns a complete options object with defaults filled in. `limits.maxTtl`
+// caps options.ttl, which only servers with a retention janitor accept.
+function parseProcessingOptions(raw, limits = {}) {
+  let input = {};
+  if (raw !== undefined && raw !== '') {
+    try {
+      input = JSON.parse(raw);
+    } catch (err) {
+      throw httpError(400, 'options must be valid JSON');
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw httpError(400, 'options must be a JSON object');
+    }
+  }
+
+  const options = {
+    widths: DEFAULT_OPTIONS.widths,
+    formats: DEFAULT_OPTIONS.formats,
+    retina: DEFAULT_OPTIONS.retina,
+    breakpoints: DEFAULT_OPTIONS.breakpoints,
+    sizes: DEFAULT_OPTIONS.sizes,
+    budgets: DEFAULT_OPTIONS.budgets,
+    crops: DEFAULT_OPTIONS.crops,
+    focalPoints: DEFAULT_OPTIONS.focalPoints,
+    sprite: DEFAULT_OPTIONS.sprite,
+    iconSet: DEFAULT_OPTIONS.iconSet,
+    ttl: DEFAULT_OPTIONS.ttl,
+    naming: DEFAULT_OPTIONS.naming,
+    watermark: DEFAULT_OPTIONS.watermark,
+    autoOrient: DEFAULT_OPTIONS.autoOrient,
+    metadata: DEFAULT_OPTIONS.metadata,
+    encoders: {}
+  };
+
+  if (input.widths !== undefined) {
+    if (!Array.isArray(input.widths) || input.widths.length === 0 || input.widths.length > MAX_WIDTHS) {
+      throw httpError(400, `options.widths must be a list of 1 to ${MAX_WIDTHS} widths`);
+    }
+    input.widths.forEach(width => {
+      if (!Number.isInteger(width) || width < 1 || width > MAX_WIDTH_PX) {
+        throw httpError(400, `options.widths must contain whole numbers between 1 and ${MAX_WIDTH_PX}`);
+      }
+    });
+    options.widths = [...new Set(input.widths)].sort((a, b) => a - b);
+  }
+
+  // Breakpoint mode replaces widths and @2x versions with a list of `w` sizes
+  if (input.breakpoints !== undefined) {
+    if (input.widths !== undefined || input.retina !== undefined) {
+      throw httpError(400, 'options.breakpoints cannot be combined with widths or retina');
+    }
+    if (!Array.isArray(input.breakpoints) || input.breakpoints.length === 0 || input.breakpoints.length > MAX_BREAKPOINTS) {
+      throw httpError(400, `options.breakpoints must be a list of 1 to ${MAX_BREAKPOINTS} widths`);
+    }
+    input.breakpoints.forEach(width => {
+      if (!Number.isInteger(width) || width < 1 || width > MAX_WIDTH_PX) {
+        throw httpError(400, `options.breakpoints must contain whole numbers between 1 and ${MAX_WIDTH_PX}`);
+      }
+    });
+    options.breakpoints = [...new Set(input.breakpoints)].sort((a, b) => a - b);
+    options.retina = false;
+  }
+
+  if (input.sizes !== undefined) {
+    if (typeof input.sizes !== 'string' || input.sizes.trim() === '' || input.sizes.length > 200) {
+      throw httpError(400, 'options.sizes must be a non-empty string of up to 200 characters');
+    }
+    options.sizes = input.sizes.trim();
+  }
+
+  // Size budgets keyed by format ("webp") or by a `files` key ("webp2x", "webp-640w")
+  if (input.budgets !== undefined) {
+    if (!input.budgets || typeof input.budgets !== 'object' || Array.isArray(input.budgets) ||
+        Object.keys(input.budgets).length > MAX_BUDGETS) {
+      throw httpError(400, `options.budgets must be an object with up to ${MAX_BUDGETS} entries`);
+    }
+    options.budgets = {};
+    for (const [key, value] of Object.entries(input.budgets)) {
+      const match = key.match(/^([a-z]+)(?:2x)?(?:-\d+w?)?$/);
+      if (!match || !OUTPUT_FORMATS[match[1]]) {
+        throw httpError(400, `Unknown budget target: ${key}`);
+      }
+      const bytes = parseByteSize(value);
+      if (!bytes) {
+        throw httpError(400, `options.budgets.${key} must be a byte count or a size like "150KB"`);
+      }
+      options.budgets[key] = bytes;
+    }
+  }
+
+  // Aspect-ratio crops: preset names ("hero") or { name, ratio, strategy } objects
+  if (input.crops !== undefined) {
+    if (!Array.isArray(input.crops) || input.crops.length > MAX_CROPS) {
+      throw httpError(400, `options.crops must be a list of up to ${MAX_CROPS} crops`);
+    }
+    options.crops = input.crops.map(parseCrop);
+    const names = options.crops.map(crop => crop.name);
+    if (new Set(names).size !== names.length) {
+      throw httpError(400, 'options.crops must have unique names');
+    }
+  }
+
+  // Focal points keyed by uploaded file name, as { x, y } fractions of the image size
+  if (input.focalPoints !== undefined) {
+    if (!input.focalPoints || typeof input.focalPoints !== 'object' || Array.isArray(input.focalPoints)) {
+      throw httpError(400, 'options.focalPoints must be an object keyed by file name');
+    }
+    options.focalPoints = {};
+    for (const [name, point] of Object.entries(input.focalPoints)) {
+      const valid = point && typeof point === 'object' &&
+        [point.x, point.y].every(value => typeof value === 'number' && value >= 0 && value <= 1);
+      if (!valid) {
+        throw httpError(400, `options.focalPoints["${name}"] must be { x, y } with values from 0 to 1`);
+      }
+      options.focalPoints[name] = { x: point.x, y: point.y };
+    }
+  }
+
+  // Sprite mode packs all uploads into one sheet instead of processing them one by one
+  if (input.sprite !== undefined && input.sprite !== false) {
+    const sprite = input.sprite === true ? {} : input.sprite;
+    if (!sprite || typeof sprite !== 'object' || Array.isArray(sprite)) {
+      throw httpError(400, 'options.sprite must be true or an object');
+    }
+    if (input.breakpoints !== undefined || input.crops !== undefined) {
+      throw httpError(400, 'options.sprite cannot be combined with breakpoints or crops');
+    }
+    const padding = sprite.padding === undefined ? 2 : sprite.padding;
+    if (!Number.isInteger(padding) || padding < 0 || padding > 64) {
+      throw httpError(400, 'options.sprite.padding must be a whole number between 0 and 64');
+    }
+    const prefix = sprite.prefix === undefined ? 'icon' : sprite.prefix;
+    if (typeof prefix !== 'string' || !/^[a-z_][a-z0-9_-]{0,31}$/i.test(prefix)) {
+      throw httpError(400, 'options.sprite.prefix must be a CSS class name of up to 32 characters');
+    }
+    if (sprite.scss !== undefined && typeof sprite.scss !== 'boolean') {
+      throw httpError(400, 'options.sprite.scss must be true or false');
+    }
+    options.sprite = { padding, prefix, scss: sprite.scss === true };
+  }
+
+  // Icon set mode turns a single logo into favicons, app icons and a web manifest
+  if (input.iconSet !== undefined && input.iconSet !== false) {
+    const iconSet = input.iconSet === true ? {} : input.iconSet;
+    if (!iconSet || typeof iconSet !== 'object' || Array.isArray(iconSet)) {
+      throw httpError(400, 'options.iconSet must be true or an object');
+    }
+    if (options.sprite || input.breakpoints !== undefined || input.crops !== undefined) {
+      throw httpError(400, 'options.iconSet cannot be combined with sprite, breakpoints or crops');
+    }
+    for (const name of ['name', 'shortName']) {
+      const value = iconSet[name];
+      if (value !== undefined && (typeof value !== 'string' || value.trim() === '' || value.length > 100)) {
+        throw httpError(400, `options.iconSet.${name} must be a non-empty string of up to 100 characters`);
+      }
+    }
+    for (const name of ['themeColor', 'backgroundColor']) {
+      const value = iconSet[name];
+      if (value !== undefined && (typeof value !== 'string' || !/^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(value))) {
+        throw httpError(400, `options.iconSet.${name} must be a hex color like #ffffff`);
+      }
+    }
+    options.iconSet = {
+      name: iconSet.name ? iconSet.name.trim() : null,
+      shortName: iconSet.shortName ? iconSet.shortName.trim() : null,
+      themeColor: iconSet.themeColor || '#ffffff',
+      backgroundColor: iconSet.backgroundColor || '#ffffff'
+    };
+  }
+
+  // Watermark overlay: text, or the image uploaded in the `watermark` field
+  if (input.watermark !== undefined && input.watermark !== false) {
+    const watermark = input.watermark === true ? {} : input.watermark;
+    if (!watermark || typeof watermark !== 'object' || Array.isArray(watermark)) {
+      throw httpError(400, 'options.watermark must be true or an object');
+    }
+    if (options.sprite || options.iconSet) {
+      throw httpError(400, 'options.watermark cannot be combined with sprite or iconSet');
+    }
+    const preset = watermark.preset === undefined ? 'corner' : watermark.preset;
+    if (!WATERMARK_PRESETS[preset]) {
+      throw httpError(400, `options.watermark.preset must be one of: ${Object.keys(WATERMARK_PRESETS).join(', ')}`);
+    }
+    const settings = { ...WATERMARK_PRESETS[preset], text: null, color: '#ffffff' };
+    
+    if (watermark.text !== undefined) {
+      if (typeof watermark.text !== 'string' || watermark.text.trim() === '' || watermark.text.length > MAX_WATERMARK_TEXT) {
+        throw httpError(400, `options.watermark.text must be a non-empty string of up to ${MAX_WATERMARK_TEXT} characters`);
+      }
+      settings.text = watermark.text.trim();
+    }
+    if (watermark.position !== undefined) {
+      if (!WATERMARK_POSITIONS[watermark.position]) {
+        throw httpError(400, `options.watermark.position must be one of: ${Object.keys(WATERMARK_POSITIONS).join(', ')}`);
+      }
+      settings.position = watermark.position;
+    }
+    for (const [name, min, max] of [['margin', 0, 0.25], ['opacity', 0.05, 1], ['scale', 0.02, 1]]) {
+      const value = watermark[name];
+      if (value !== undefined) {
+        if (typeof value !== 'number' || value < min || value > max) {
+          throw httpError(400, `options.watermark.${name} must be a number between ${min} and ${max}`);
+        }
+        settings[name] = value;
+      }
+    }
+    if (watermark.color !== undefined) {
+      if (typeof watermark.color !== 'string' || !/^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(watermark.color)) {
+        throw httpError(400, 'options.watermark.color must be a hex color like #ffffff');
+      }
+      settings.color = watermark.color;
+    }
+    options.watermark = settings;
+  }
+
+  // "hash" adds a hash of the output bytes to every file name (hero.3f9a2c.webp)
+  if (input.naming !== undefined) {
+    if (!NAMING_MODES.includes(input.naming)) {
+      throw httpError(400, `options.naming must be one of: ${NAMING_MODES.join(', ')}`);
+    }
+    options.naming = input.naming;
+  }
+
+  if (input.autoOrient !== undefined) {
+    if (typeof input.autoOrient !== 'boolean') {
+      throw httpError(400, 'options.autoOrient must be true or false');
+    }
+    options.autoOrient = input.autoOrient;
+  }
+
+  // Metadata to keep in the output, e.g. { "exif": true }; everything is stripped by default
+  if (input.metadata !== undefined) {
+    if (!input.metadata || typeof input.metadata !== 'object' || Array.isArray(input.metadata)) {
+      throw httpError(400, 'options.metadata must be an object');
+    }
+    for (const [name, value] of Object.entries(input.metadata)) {
+      if (!METADATA_KINDS.includes(name)) {
+        throw httpError(400, `Unknown metadata kind: ${name} (use ${METADATA_KINDS.join(', ')})`);
+      }
+      if (typeof value !== 'boolean') {
+        throw httpError(400, `options.metadata.${name} must be true or false`);
+      }
+    }
+    options.metadata = { ...DEFAULT_OPTIONS.metadata, ...input.metadata };
+    if (options.metadata.gps && !options.metadata.exif) {
+      throw httpError(400, 'options.metadata.gps needs options.metadata.exif, which holds the location');
+    }
+  }
+
+  // Seconds until the job's output expires, instead of the server's JOB_TTL
+  if (input.ttl !== undefined) {
+    if (!limits.maxTtl) {
+      throw httpError(400, 'options.ttl is not supported here');
+    }
+    if (!Number.isInteger(input.ttl) || input.ttl < 60 || input.ttl > limits.maxTtl) {
+      throw httpError(400, `options.ttl must be a whole number of seconds between 60 and ${limits.maxTtl}`);
+    }
+    options.ttl = input.ttl;
+  }
+
+  if (input.formats !== undefined) {
+    if (!Array.isArray(input.formats) || input.formats.length === 0) {
+      throw httpError(400, 'options.formats must be a non-empty list');
+    }
+    input.formats.forEach(format => {
+      if (!OUTPUT_FORMATS[format]) {
+        throw httpError(400, `Unsupported output format: ${format}`);
+      }
+    });
+    options.formats = [...new Set(input.formats)];
+    if (options.formats.every(format => OUTPUT_FORMATS[format].animatedOnly)) {
+      throw httpError(400, 'options.formats needs a format for still images too (GIF is only made for animated ones)');
+    }
+  }
+
+  if (input.retina !== undefined) {
+    if (typeof input.retina !== 'boolean') {
+      throw httpError(400, 'options.retina must be true or false');
+    }
+    options.retina = input.retina;
+  }
+
+  // Per-format encoder settings, e.g. { "webp": { "quality": 75, "effort": 6 } }
+  for (const [format, { defaults, settings }] of Object.entries(OUTPUT_FORMATS)) {
+    const overrides = input[format] || {};
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw httpError(400, `options.${format} must be an object`);
+    }
+    for (const [name, value] of Object.entries(overrides)) {
+      const rule = settings[name];
+      if (!rule) {
+        throw httpError(400, `Unknown ${format} setting: ${name}`);
+      }
+      if (rule === 'boolean' && typeof value !== 'boolean') {
+        throw httpError(400, `options.${format}.${name} must be true or false`);
+      }
+      if (Array.isArray(rule) && (!Number.isInteger(value) || value < rule[0] || value > rule[1])) {
+        throw httpError(400, `options.${format}.${name} must be a whole number between ${rule[0]} and ${rule[1]}`);
+      }
+    }
+    options.encoders[format] = { ...defaults, ...overrides };
+  }
+
+  return options;
+}
+
+module.exports = {
+  parseProcessingOptions
+};
@@ -0,0 +1,174 @@
+const sharp = require('sharp');
+const { OUTPUT_FORMATS } = require('./formats');
+
+// Helper function to build the list of variants to write for an image.
+// Each requested width limits the regular version (preserving aspect ratio);
+// the @2x version doubles it. With more than one width, names and keys get a
+// `-<width>` suffix. In breakpoint mode every breakpoint up to the source width
+// becomes one `-<width>w` variant per format, without upscaling or @2x; when
+// breakpoints are wider than the source, the source width is the largest one.
+function planVariants(metadata, baseOutputName, options) {
+  const variants = [];
+  
+  if (options.breakpoints) {
+    const widths = options.breakpoints.filter(width => width <= metadata.width);
+    if (widths.length < options.breakpoints.length && !widths.includes(metadata.width)) {
+      widths.push(metadata.width);
+    }
+    
+    for (const width of widths) {
+      const height = Math.round(width * (metadata.height / metadata.width));
+      for (const format of options.formats) {
+        variants.push({
+          key: `${format}-${width}w`,
+          filename: `${baseOutputName}-${width}w.${OUTPUT_FORMATS[format].extension}`,
+          format,
+          maxWidth: width,
+          density: 1,
+          descriptor: `${width}w`,
+          width,
+          height
+        });
+      }
+    }
+    return variants;
+  }
+  
+  const densities = options.retina ? [1, 2] : [1];
+  
+  for (const maxWidth of options.widths) {
+    const regularWidth = Math.min(metadata.width, maxWidth);
+    const regularHeight = Math.round(regularWidth * (metadata.height / metadata.width));
+    const widthSuffix = options.widths.length > 1 ? `-${maxWidth}` : '';
+    
+    for (const density of densities) {
+      const densitySuffix = density === 2 ? '2x' : '';
+      for (const format of options.formats) {
+        variants.push({
+          key: `${format}${densitySuffix}${widthSuffix}`,
+          filename: `${baseOutputName}${widthSuffix}${density === 2 ? '@2x' : ''}.${OUTPUT_FORMATS[format].extension}`,
+          format,
+          maxWidth,
+          density,
+          descriptor: `${density}x`,
+          width: regularWidth * density,
+          height: regularHeight * density
+        });
+      }
+    }
+  }
+  
+  return variants;
+}
+
+// Helper function to compute the largest region of an image with the given
+// aspect ratio. With a focal point ({ x, y } from 0 to 1) the region is
+// centred on it (clamped to the image) and includes its position.
+function cropRegion(metadata, ratio, focal) {
+  let width = metadata.width;
+  let height = Math.round(width / ratio);
+  if (height > metadata.height) {
+    height = metadata.height;
+    width = Math.round(height * ratio);
+  }
+  
+  if (!focal) {
+    return { width, height };
+  }
+  
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+  return {
+    left: clamp(Math.round(focal.x * metadata.width - width / 2), metadata.width - width),
+    top: clamp(Math.round(focal.y * metadata.height - height / 2), metadata.height - height),
+    width,
+    height
+  };
+}
+
+// Helper function to start the sharp pipeline for a variant: the source (or the
+// crop region around a focal point) auto-oriented, resized to the variant's
+// size, flattened for formats without transparency and watermarked with the
+// variant's `overlay` (see watermarkOverlay). `source` is
+// { input, autoOrient, withMetadata } as prepared by processImage.
+function variantPipeline(source, variant) {
+  const pipeline = sharp(source.input, { animated: Boolean(variant.animation) });
+  if (source.autoOrient && !variant.animation) {
+    pipeline.rotate();
+  }
+  if (source.withMetadata) {
+    // Keeps what is left of the metadata after sanitizeMetadata and converts to sRGB with its profile attached
+    pipeline.withMetadata();
+  }
+  if (variant.crop) {
+    if (variant.crop.region) {
+      pipeline.extract(variant.crop.region);
+    }
+    pipeline.resize(variant.width, variant.height, { fit: 'cover', position: variant.crop.position });
+  } else {
+    pipeline.resize(variant.width, variant.height);
+  }
+  if (!OUTPUT_FORMATS[variant.format].alpha) {
+    pipeline.flatten({ background: '#ffffff' });
+  }
+  if (variant.overlay) {
+    pipeline.composite([variant.overlay]);
+  }
+  return pipeline;
+}
+
+// Helper function to encode a variant at the best settings that fit a byte budget.
+// Lossy encoders get the highest quality that fits (binary search below the
+// configured quality), lossless ones the lowest effort that fits. When nothing
+// fits, the smallest attempt is kept. Resolves with the buffer and the setting chosen.
+async function encodeWithinBudget(source, variant, encoder, budget) {
+  const format = OUTPUT_FORMATS[variant.format];
+  const encode = settings => variantPipeline(source, variant).toFormat(variant.format, settings).toBuffer();
+  let smallest = null;
+  
+  const attempt = async (setting, value) => {
+    const buffer = await encode(setting ? { ...encoder, [setting]: value } : encoder);
+    if (!smallest || buffer.length < smallest.buffer.length) {
+      smallest = { buffer, setting, value };
+    }
+    return buffer.length <= budget ? { buffer, setting, value } : null;
+  };
+  
+  if (format.isLossless(encoder)) {
+    const setting = format.budgetEffort;
+    const [min, max] = format.settings[setting];
+    for (let effort = min; effort <= max; effort++) {
+      const fit = await attempt(setting, effort);
+      if (fit) {
+        return { ...fit, met: true };
+      }
+    }
+    return { ...smallest, met: false };
+  }
+  
+  const configured = await attempt('quality', encoder.quality);
+  if (configured) {
+    return { ...configured, met: true };
+  }
+  
+  let best = null;
+  let low = 1;
+  let high = encoder.quality - 1;
+  while (low <= high) {
+    const quality = Math.floor((low + high) / 2);
+    const fit = await attempt('quality', quality);
+    if (fit) {
+      best = fit;
+      low = quality + 1;
+    } else {
+      high = quality - 1;
+    }
+  }
+  return best ? { ...best, met: true } : { ...smallest, met: false };
+}
+
+module.exports = {
+  cropRegion,
+  planVariants,
+  variantPipeline,
+  encodeWithinBudget
+};
@@ -0,0 +1,110 @@
+const sharp = require('sharp');
+const { variantPipeline } = require('./pipeline');
+
+// Placeholders are computed from a rendering of each variant set whose
+// longest side is `size` px: a `lqipSize` px WebP data URI, a BlurHash with
+// up to `components` components per side and the dominant color
+const PLACEHOLDER = { size: 32, lqipSize: 16, lqipQuality: 40, components: 4 };
+
+const BLURHASH_CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+// Helper function to encode a number as `length` base-83 BlurHash digits
+function base83(value, length) {
+  let digits = '';
+  for (let i = length - 1; i >= 0; i--) {
+    digits += BLURHASH_CHARACTERS[Math.floor(value / 83 ** i) % 83];
+  }
+  return digits;
+}
+
+// Helper function to compute the BlurHash of raw RGB pixels
+// (see https://github.com/woltapp/blurhash/blob/master/Algorithm.md)
+function encodeBlurhash(pixels, width, height, componentsX, componentsY) {
+  const toLinear = value => {
+    const v = value / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  };
+  const toSrgb = value => {
+    const v = Math.max(0, Math.min(1, value));
+    return Math.round(v <= 0.0031308 ? v * 12.92 * 255 : (1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255);
+  };
+  const signPow = (value, exponent) => Math.sign(value) * Math.pow(Math.abs(value), exponent);
+  
+  const linear = Array.from(pixels, toLinear);
+  const factors = [];
+  for (let j = 0; j < componentsY; j++) {
+    for (let i = 0; i < componentsX; i++) {
+      const normalisation = i === 0 && j === 0 ? 1 : 2;
+      const factor = [0, 0, 0];
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const basis = normalisation * Math.cos(Math.PI * i * x / width) * Math.cos(Math.PI * j * y / height);
+          const offset = (y * width + x) * 3;
+          factor[0] += basis * linear[offset];
+          factor[1] += basis * linear[offset + 1];
+          factor[2] += basis * linear[offset + 2];
+        }
+      }
+      factors.push(factor.map(value => value / (width * height)));
+    }
+  }
+  
+  const [dc, ...ac] = factors;
+  let hash = base83(componentsX - 1 + (componentsY - 1) * 9, 1);
+  let maximum = 1;
+  if (ac.length > 0) {
+    const actualMaximum = Math.max(...ac.flat().map(Math.abs));
+    const quantisedMaximum = Math.max(0, Math.min(82, Math.floor(actualMaximum * 166 - 0.5)));
+    maximum = (quantisedMaximum + 1) / 166;
+    hash += base83(quantisedMaximum, 1);
+  } else {
+    hash += base83(0, 1);
+  }
+  hash += base83((toSrgb(dc[0]) << 16) + (toSrgb(dc[1]) << 8) + toSrgb(dc[2]), 4);
+  for (const factor of ac) {
+    const [r, g, b] = factor.map(value =>
+      Math.max(0, Math.min(18, Math.floor(signPow(value / maximum, 0.5) * 9 + 9.5))));
+    hash += base83(r * 19 * 19 + g * 19 + b, 2);
+  }
+  return hash;
+}
+
+// Helper function to compute the placeholders of a variant set from a small
+// rendering of its first variant: an LQIP data URI, a BlurHash and the dominant color
+async function buildPlaceholder(source, variant) {
+  const scale = PLACEHOLDER.size / Math.max(variant.width, variant.height);
+  const width = Math.max(1, Math.round(variant.width * scale));
+  const height = Math.max(1, Math.round(variant.height * scale));
+  // Animations are rendered from their first frame, as they are (not auto-oriented)
+  const small = await variantPipeline(
+    variant.animation ? { ...source, autoOrient: false } : source,
+    { ...variant, format: 'png', width, height, animation: null, overlay: null }
+  ).png().toBuffer();
+  
+  const lqipScale = PLACEHOLDER.lqipSize / PLACEHOLDER.size;
+  const lqip = await sharp(small)
+    .resize(Math.max(1, Math.round(width * lqipScale)), Math.max(1, Math.round(height * lqipScale)))
+    .webp({ quality: PLACEHOLDER.lqipQuality })
+    .toBuffer();
+  
+  const { data, info } = await sharp(small)
+    .flatten({ background: '#ffffff' })
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const landscape = width >= height;
+  const blurhash = encodeBlurhash(
+    data, info.width, info.height,
+    landscape ? PLACEHOLDER.components : PLACEHOLDER.components - 1,
+    landscape ? PLACEHOLDER.components - 1 : PLACEHOLDER.components
+  );
+  
+  const { dominant } = await sharp(small).stats();
+  const dominantColor = `#${[dominant.r, dominant.g, dominant.b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+  
+  return { lqip: `data:image/webp;base64,${lqip.toString('base64')}`, blurhash, dominantColor };
+}
+
+module.exports = {
+  buildPlaceholder
+};
@@ -0,0 +1,416 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { contentHash, generateRandomHash } = require('./utils');
+const { OUTPUT_FORMATS } = require('./formats');
+const { METADATA_KINDS, sanitizeMetadata, describeSourceMetadata } = require('./metadata');
+const { watermarkOverlay } = require('./watermark');
+const { cropRegion, planVariants, variantPipeline, encodeWithinBudget } = require('./pipeline');
+const { buildPlaceholder } = require('./placeholder');
+const { referencePixels, measureSsim } = require('./quality');
+const { snippetUrl, buildSnippets } = require('./snippets');
+
+// Directory inside a job's directory holding the kept originals, the source
+// of on-the-fly transformations
+const ORIGINALS_DIR = 'originals';
+
+const CONTENT_HASH_LENGTH = 6;
+
+// Outputs generated so far, by input bytes and options, so identical uploads
+// copy them instead of being processed again
+const outputIndex = new Map();
+
+// Helper function to add the content hash of an output to its file name,
+// e.g. hero@2x.webp -> hero@2x.3f9a2c.webp
+function hashedFilename(filename, buffer) {
+  const { dir, name, ext } = path.posix.parse(filename);
+  return path.posix.join(dir, `${name}.${contentHash(buffer).slice(0, CONTENT_HASH_LENGTH)}${ext}`);
+}
+
+// Helper function to write an output inside a job, creating its folder first
+async function writeJobFile(job, filename, buffer) {
+  const filePath = path.join(job.dir, filename);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+}
+
+// Helper function to build the outputIndex key of an input: its bytes, its
+// output base name and every option that shapes its outputs
+function outputIndexKey(inputHash, baseOutputName, focal, options) {
+  const { widths, formats, retina, breakpoints, sizes, budgets, crops, encoders, naming, autoOrient, metadata } = options;
+  return contentHash(JSON.stringify([
+    inputHash, baseOutputName, focal, widths, formats, retina, breakpoints, sizes, budgets, crops, encoders, naming,
+    autoOrient, metadata, options.watermark && options.watermark.hash
+  ]));
+}
+
+// Helper function to copy the outputs of an outputIndex entry into a job.
+// Resolves with false when some of them are gone.
+async function copyIndexedOutputs(entry, job) {
+  const sourceDir = entry.dir;
+  if (!entry.outputs.every(({ filename }) => fs.existsSync(path.join(sourceDir, filename)))) {
+    return false;
+  }
+  if (sourceDir !== job.dir) {
+    for (const { filename } of entry.outputs) {
+      await fs.promises.mkdir(path.dirname(path.join(job.dir, filename)), { recursive: true });
+      await fs.promises.copyFile(path.join(sourceDir, filename), path.join(job.dir, filename));
+    }
+  }
+  return true;
+}
+
+// Helper function to describe a written variant set for the upload response.
+// Only files that were successfully created are listed, with their dimensions,
+// size, savings against the upload, SSIM and any budget outcome; outputs larger
+// than the upload are flagged.
+function describeVariantSet(job, set, baseName, hasAlpha, originalBytes, options) {
+  const created = set.variants.filter(variant => {
+    const outputPath = path.join(job.dir, variant.filename);
+    return fs.existsSync(outputPath) && fs.statSync(outputPath).size > 0;
+  });
+  
+  const description = {
+    files: {},
+    variants: {},
+    placeholder: set.placeholder
+  };
+  
+  created.forEach(variant => {
+    const bytes = fs.statSync(path.join(job.dir, variant.filename)).size;
+    description.files[variant.key] = `${job.urlPrefix}${variant.filename}`;
+    description.variants[variant.key] = {
+      format: variant.format,
+      width: variant.width,
+      height: variant.height,
+      density: variant.density,
+      descriptor: variant.descriptor,
+      bytes,
+      savings: Math.round((1 - bytes / originalBytes) * 1000) / 1000,
+      ssim: variant.ssim === undefined ? null : variant.ssim,
+      largerThanOriginal: bytes > originalBytes
+    };
+    if (variant.budget) {
+      description.variants[variant.key].budget = variant.budget;
+    }
+  });
+  
+  if (created.length > 0) {
+    description.snippets = buildSnippets(baseName, set.baseOutputName, created, hasAlpha, set.placeholder, options);
+  }
+  
+  // Breakpoint mode also returns the srcset of every format for custom markup
+  if (options.breakpoints) {
+    description.sizes = options.sizes;
+    description.srcset = {};
+    options.formats.forEach(format => {
+      description.srcset[format] = created
+        .filter(variant => variant.format === format)
+        .map(variant => `${snippetUrl(variant.filename)} ${variant.descriptor}`)
+        .join(', ');
+    });
+  }
+  
+  return description;
+}
+
+// Helper function to process a single image into `job.dir`, whose files are
+// listed under `job.urlPrefix`. An `originalName` with folders, like
+// "blog/2024/hero.jpg", writes its outputs into the same folders of the job
+// ("blog/2024/hero.webp"). `job.keepOriginals` also keeps the sanitized
+// source in originals/. `useHash` (see planBatch) adds a hash suffix to the
+// output names; existing files of the same name are overwritten.
+// `onProgress(completed, total)` is called as each variant is written.
+async function processImage(filePath, originalName, useHash, options, job, onProgress = () => {}) {
+  // Extract the base name without extension, and the folder it goes into
+  const fileInfo = path.posix.parse(originalName);
+  const baseName = fileInfo.name;
+  const folderName = name => path.posix.join(fileInfo.dir, name);
+  const input = await fs.promises.readFile(filePath);
+  const inputHash = contentHash(input);
+  const hashNaming = options.naming === 'hash';
+  let baseOutputName;
+  
+  if (useHash) {
+    // With content-hash naming the suffix comes from the input, so it is the same on every upload
+    const suffix = hashNaming ? inputHash.slice(0, 5) : generateRandomHash();
+    baseOutputName = folderName(`${baseName}-${suffix}`);
+    console.log(`Processing ${originalName} -> ${baseOutputName} (with hash)`);
+  } else {
+    baseOutputName = folderName(baseName);
+    console.log(`Processing ${originalName} -> ${baseOutputName} (original name)`);
+  }
+
+  // Identical inputs with identical options reuse earlier outputs
+  const focal = options.focalPoints[originalName] || null;
+  const indexKey = outputIndexKey(inputHash, baseOutputName, focal, options);
+  const indexed = outputIndex.get(indexKey);
+
+  try {
+    // Get metadata for the original image
+    const sourceMetadata = indexed ? indexed.sourceMetadata : await sharp(input).metadata();
+    const sourceDescription = indexed ? indexed.sourceDescription : describeSourceMetadata(sourceMetadata);
+    
+    // Quarter-turn orientations swap the width and height of the auto-oriented image.
+    // Animations are left as they are.
+    const oriented = options.autoOrient && !(sourceMetadata.pages > 1) && sourceMetadata.orientation > 1;
+    const rotated = oriented && sourceMetadata.orientation >= 5;
+    const metadata = rotated
+      ? { ...sourceMetadata, width: sourceMetadata.height, height: sourceMetadata.width }
+      : sourceMetadata;
+    
+    // Metadata that isn't kept is removed before encoding; with anything kept, or
+    // a color profile to convert from, the output is tagged as sRGB
+    const keptMetadata = METADATA_KINDS.filter(kind => options.metadata[kind]);
+    const sanitized = sanitizeMetadata(input, sourceMetadata.format, {
+      ...options.metadata,
+      orientation: oriented ? sourceMetadata.orientation : null
+    });
+    const source = {
+      input: sanitized || input,
+      autoOrient: options.autoOrient,
+      withMetadata: Boolean(sanitized) && (keptMetadata.length > 0 || Boolean(sourceMetadata.icc))
+    };
+    
+    // Multi-frame inputs (animated GIF/WebP) are written as animated WebP, plus
+    // GIF when requested; still images skip the animation-only formats. Crops
+    // are only made of still images.
+    const animated = metadata.pages > 1;
+    const setOptions = {
+      ...options,
+      formats: animated
+        ? ['webp', ...options.formats.filter(format => OUTPUT_FORMATS[format].animatedOnly)]
+        : options.formats.filter(format => !OUTPUT_FORMATS[format].animatedOnly),
+      crops: animated ? [] : options.crops
+    };
+    const animation = animated ? { loop: metadata.loop, delay: metadata.delay } : null;
+    if (animated) {
+      console.log(`${originalName} is animated (${metadata.pages} frames), writing ${setOptions.formats.join(', ')}`);
+    }
+    
+    // The full image and every crop preset are separate variant sets
+    const sets = [{
+      name: null,
+      baseOutputName,
+      variants: planVariants(metadata, baseOutputName, setOptions).map(variant => ({ ...variant, animation }))
+    }];
+    for (const crop of setOptions.crops) {
+      const region = cropRegion(metadata, crop.ratio, focal);
+      const cropOutputName = `${baseOutputName}-${crop.name}`;
+      const position = focal ? 'centre' : (crop.strategy === 'center' ? 'centre' : sharp.strategy[crop.strategy]);
+      sets.push({
+        name: crop.name,
+        crop,
+        baseOutputName: cropOutputName,
+        variants: planVariants(region, cropOutputName, setOptions).map(variant => ({
+          ...variant,
+          crop: { name: crop.name, region: focal ? region : null, position }
+        }))
+      });
+    }
+    const variants = sets.flatMap(set => set.variants);
+    
+    console.log(`Image dimensions: 
+      Original: ${metadata.width}×${metadata.height} 
+      ${variants.map(v => `${v.filename}: ${v.width}×${v.height}`).join('\n    ')}`);
+    
+    // Create all formats one by one
+    const reused = indexed ? await copyIndexedOutputs(indexed, job) : false;
+    if (reused) {
+      console.log(`Reusing the outputs of job ${indexed.jobId} for ${originalName}`);
+    }
+    
+    // Placeholders are small enough to be kept in the index with the outputs
+    for (const [index, set] of sets.entries()) {
+      set.placeholder = reused ? indexed.placeholders[index] : await buildPlaceholder(source, set.variants[0]);
+    }
+    
+    // The resized source each output is compared with, by crop, size and
+    // whether it is flattened
+    const references = new Map();
+    
+    onProgress(0, variants.length);
+    for (const [index, variant] of variants.entries()) {
+      if (reused) {
+        Object.assign(variant, indexed.outputs[index]);
+        onProgress(index + 1, variants.length, variant);
+        continue;
+      }
+      
+      const budget = options.budgets[variant.key] || options.budgets[variant.format];
+      
+      // Watermarks are placed relative to each variant's own size; animations are left as they are
+      if (options.watermark && !variant.animation) {
+        variant.overlay = await watermarkOverlay(options.watermark, variant.width, variant.height);
+      }
+      
+      // Animated variants keep the frame delays and loop count of the input
+      const encoder = variant.animation
+        ? { ...options.encoders[variant.format], ...variant.animation }
+        : options.encoders[variant.format];
+      
+      let buffer;
+      if (budget) {
+        const fit = await encodeWithinBudget(source, variant, encoder, budget);
+        buffer = fit.buffer;
+        variant.budget = { bytes: budget, met: fit.met, [fit.setting]: fit.value };
+        console.log(`${variant.filename}: ${fit.setting} ${fit.value} for a ${Math.round(budget / 1024)}KB budget${fit.met ? '' : ' (not met)'}`);
+      } else {
+        buffer = await variantPipeline(source, variant)
+          .toFormat(variant.format, encoder)
+          .toBuffer();
+      }
+      
+      // How close the output stays to the resized source; animations aren't measured
+      variant.ssim = null;
+      if (!variant.animation) {
+        const referenceKey = [variant.crop && variant.crop.name, variant.width, variant.height, OUTPUT_FORMATS[variant.format].alpha].join(':');
+        if (!references.has(referenceKey)) {
+          references.set(referenceKey, await referencePixels(source, variant));
+        }
+        variant.ssim = await measureSsim(references.get(referenceKey), buffer);
+      }
+      
+      if (hashNaming) {
+        variant.filename = hashedFilename(variant.filename, buffer);
+      }
+      await writeJobFile(job, variant.filename, buffer);
+      onProgress(index + 1, variants.length, variant);
+    }
+
+    const originalBytes = input.length;
+    
+    // Keep the original as the source of on-the-fly transformations, without
+    // the metadata this upload strips
+    if (job.keepOriginals) {
+      await writeJobFile(job, path.join(ORIGINALS_DIR, `${baseOutputName}${fileInfo.ext.toLowerCase()}`), source.input);
+    }
+    
+    if (!reused) {
+      const { format, width, height, hasAlpha, pages, loop, delay, orientation, icc } = sourceMetadata;
+      outputIndex.set(indexKey, {
+        jobId: job.id,
+        dir: job.dir,
+        sourceMetadata: { format, width, height, hasAlpha, pages, loop, delay, orientation, icc: Boolean(icc) },
+        sourceDescription,
+        placeholders: sets.map(set => set.placeholder),
+        outputs: variants.map(({ filename, budget, ssim }) => ({ filename, budget, ssim }))
+      });
+    }
+    
+    // Show file sizes
+    console.log(`File sizes:
+        Original: ${Math.round(originalBytes / 1024)}KB
+        ${variants.filter(v => fs.existsSync(path.join(job.dir, v.filename))).map(v => `${v.filename}: ${Math.round(fs.statSync(path.join(job.dir, v.filename)).size / 1024)}KB`).join('\n        ')}`);
+    
+    const result = {
+      originalName,
+      outputName: baseOutputName,
+      originalBytes,
+      ...describeVariantSet(job, sets[0], baseName, metadata.hasAlpha, originalBytes, setOptions),
+      sourceMetadata: sourceDescription,
+      outputMetadata: {
+        autoOriented: oriented,
+        kept: sanitized ? keptMetadata : [],
+        gpsStripped: !(sanitized && options.metadata.gps),
+        iccProfile: source.withMetadata ? 'sRGB' : null
+      }
+    };
+    
+    if (animated) {
+      result.animation = {
+        frames: metadata.pages,
+        loop: metadata.loop,
+        duration: (metadata.delay || []).reduce((total, delay) => total + delay, 0)
+      };
+    }
+    
+    if (setOptions.crops.length > 0) {
+      result.crops = {};
+      sets.slice(1).forEach(set => {
+        result.crops[set.name] = {
+          ratio: set.crop.label,
+          focalPoint: focal,
+          ...describeVariantSet(job, set, baseName, metadata.hasAlpha, originalBytes, setOptions)
+        };
+      });
+    }
+    
+    return result;
+  } catch (error) {
+    console.error(`Error processing image ${originalName}:`, error);
+    throw new Error(`Failed to process ${originalName}: ${error.message}`);
+  }
+}
+
+// Helper function to list the output names (without extension) of a file
+// with this base name, as planned from the options alone. With breakpoints
+// these are the names of its variant sets instead: every file then ends in
+// "-<width>w", so two sets can only share a file if they share a name.
+function outputStems(baseName, options) {
+  const { widths, retina, breakpoints, crops } = options;
+  return [baseName, ...crops.map(crop => `${baseName}-${crop.name}`)].flatMap(setName => {
+    if (breakpoints) {
+      return [setName];
+    }
+    return widths.flatMap(width => {
+      const name = widths.length > 1 ? `${setName}-${width}` : setName;
+      return retina ? [name, `${name}@2x`] : [name];
+    });
+  });
+}
+
+// Helper function to plan how a batch of files is processed: files sharing a
+// base name within a folder all get a hash suffix, and so does a file whose
+// outputs would overwrite those of an earlier one (photo-avatar.jpg and the
+// "avatar" crop of photo.jpg). The others keep their original name.
+// Returns [{ file, index, useHash }] grouped by base name.
+function planBatch(files, options) {
+  // Group files by their base name to identify duplicates
+  const fileGroups = new Map();
+  
+  // Group files by base name, prefixed with their folder (if any)
+  files.forEach((file, index) => {
+    const { dir, name } = path.posix.parse(file.originalname);
+    const baseName = path.posix.join(dir, name);
+    if (!fileGroups.has(baseName)) {
+      fileGroups.set(baseName, []);
+    }
+    fileGroups.get(baseName).push({ file, index });
+  });
+  
+  // List all groups and their sizes
+  console.log("File groups:");
+  for (const [baseName, entries] of fileGroups.entries()) {
+    console.log(`- ${baseName}: ${entries.length} file(s)`);
+  }
+  
+  // Output names taken by the files keeping their original name. Content-hash
+  // names differ anyway, unless the outputs are identical too.
+  const reserved = new Set();
+  
+  const planned = [];
+  for (const [baseName, entries] of fileGroups.entries()) {
+    const hasMultipleFiles = entries.length > 1;
+    const stems = outputStems(baseName, options);
+    const clashes = !hasMultipleFiles && options.naming !== 'hash' && stems.some(stem => reserved.has(stem));
+    
+    if (hasMultipleFiles) {
+      console.log(`Group ${baseName} has multiple files, adding hashes to all`);
+    } else if (clashes) {
+      console.log(`Group ${baseName} would overwrite the outputs of another file, adding a hash`);
+    } else {
+      console.log(`Group ${baseName} has a single file, using original name`);
+      stems.forEach(stem => reserved.add(stem));
+    }
+    entries.forEach(entry => planned.push({ ...entry, useHash: hasMultipleFiles || clashes }));
+  }
+  return planned;
+}
+
+module.exports = {
+  ORIGINALS_DIR,
+  outputIndex,
+  processImage,
+  planBatch
+};
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { variantPipeline } = require('./pipeline');
+
+// Per-variant quality and savings of a batch as a spreadsheet, written next
+// to the outputs and added to every ZIP download
+const REPORT_FILE = 'quality-report.csv';
+
+// SSIM compares the luma of 8×8 windows placed every 4px; the constants are
+// the usual ones for 8-bit images
+const SSIM_WINDOW = 8;
+const SSIM_STEP = 4;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+const REPORT_COLUMNS = [
+  'image', 'crop', 'key', 'file', 'format', 'width', 'height', 'density',
+  'bytes', 'originalBytes', 'savings', 'ssim', 'largerThanOriginal', 'budgetMet'
+];
+
+// Helper function to decode a pipeline into greyscale pixels, on white where
+// it is transparent. Resolves with { data, info } like sharp's raw output.
+function lumaPixels(pipeline) {
+  return pipeline
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+// Helper function to render what an output of a variant is compared with: the
+// source resized (and cropped and watermarked) to the variant, before encoding.
+// The variant's own pipeline is rendered first, as converting to greyscale
+// in it would move smart crops.
+async function referencePixels(source, variant) {
+  const { data, info } = await variantPipeline(source, variant).raw().toBuffer({ resolveWithObject: true });
+  return lumaPixels(sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } }));
+}
+
+// Helper function to compute the mean SSIM of two greyscale images of the same
+// size, from 0 (unrelated) to 1 (identical)
+function ssim(a, b, width, height, channels) {
+  const size = Math.min(SSIM_WINDOW, width, height);
+  const count = size * size;
+  let total = 0;
+  let windows = 0;
+
+  for (let top = 0; top + size <= height; top += SSIM_STEP) {
+    for (let left = 0; left + size <= width; left += SSIM_STEP) {
+      let sumA = 0;
+      let sumB = 0;
+      let sumAA = 0;
+      let sumBB = 0;
+      let sumAB = 0;
+      for (let y = top; y < top + size; y++) {
+        for (let x = left; x < left + size; x++) {
+          const offset = (y * width + x) * channels;
+          const pa = a[offset];
+          const pb = b[offset];
+          sumA += pa;
+          sumB += pb;
+          sumAA += pa * pa;
+          sumBB += pb * pb;
+          sumAB += pa * pb;
+        }
+      }
+      const meanA = sumA / count;
+      const meanB = sumB / count;
+      const varianceA = sumAA / count - meanA * meanA;
+      const varianceB = sumBB / count - meanB * meanB;
+      const covariance = sumAB / count - meanA * meanB;
+      total += ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+        ((meanA * meanA + meanB * meanB + SSIM_C1) * (varianceA + varianceB + SSIM_C2));
+      windows++;
+    }
+  }
+
+  return windows ? total / windows : 1;
+}
+
+// Helper function to measure how close an encoded output is to its reference
+// (see referencePixels). Resolves with the SSIM rounded to 4 decimals.
+async function measureSsim(reference, buffer) {
+  const { width, height } = reference.info;
+  const output = await lumaPixels(sharp(buffer).resize(width, height, { fit: 'fill' }));
+  if (output.info.channels !== reference.info.channels) {
+    throw new Error('Output and reference decoded to different channel counts');
+  }
+  return Math.round(ssim(reference.data, output.data, width, height, reference.info.channels) * 10000) / 10000;
+}
+
+// Helper function to list every variant of a batch's upload results, crops
+// included, as { result, crop, key, url, variant }
+function batchVariants(results) {
+  return results.flatMap(result =>
+    [[null, result], ...Object.entries(result.crops || {})].flatMap(([crop, set]) =>
+      Object.entries(set.files).map(([key, url]) => ({ result, crop, key, url, variant: set.variants[key] }))));
+}
+
+// Helper function to sum up a list of variant descriptions: their count and
+// bytes, the mean savings and the mean and lowest SSIM (null when none was measured)
+function summarizeVariants(variants) {
+  const mean = values => values.reduce((total, value) => total + value, 0) / values.length;
+  const measured = variants.map(variant => variant.ssim).filter(value => typeof value === 'number');
+  return {
+    variants: variants.length,
+    bytes: variants.reduce((total, variant) => total + variant.bytes, 0),
+    averageSavings: variants.length ? Math.round(mean(variants.map(variant => variant.savings)) * 1000) / 1000 : null,
+    averageSsim: measured.length ? Math.round(mean(measured) * 10000) / 10000 : null,
+    minSsim: measured.length ? Math.min(...measured) : null
+  };
+}
+
+// Helper function to build the summary of a batch for the upload response:
+// totals over all variants, and the same per output format
+function summarizeBatch(results) {
+  const variants = batchVariants(results).map(entry => entry.variant);
+  const formats = {};
+  variants.forEach(variant => {
+    formats[variant.format] = formats[variant.format] || [];
+    formats[variant.format].push(variant);
+  });
+
+  return {
+    images: results.length,
+    originalBytes: results.reduce((total, result) => total + result.originalBytes, 0),
+    ...summarizeVariants(variants),
+    largerThanOriginal: variants.filter(variant => variant.largerThanOriginal).length,
+    formats: Object.fromEntries(Object.entries(formats).map(([format, list]) => [format, summarizeVariants(list)]))
+  };
+}
+
+// Helper function to write one CSV cell, quoted when needed. Text starting
+// with =, +, - or @ gets a leading ' so spreadsheets don't run it as a formula.
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Helper function to build the CSV report of a batch, one row per variant.
+// File paths are relative, like in the manifest.
+function buildReport(job, results) {
+  const rows = batchVariants(results).map(({ result, crop, key, url, variant }) => [
+    result.originalName,
+    crop,
+    key,
+    url.slice(job.urlPrefix.length),
+    variant.format,
+    variant.width,
+    variant.height,
+    variant.density,
+    variant.bytes,
+    result.originalBytes,
+    variant.savings,
+    variant.ssim,
+    variant.largerThanOriginal,
+    variant.budget ? variant.budget.met : null
+  ]);
+  return [REPORT_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Helper function to write the CSV report of a batch into its directory
+function writeReport(job, results) {
+  fs.writeFileSync(path.join(job.dir, REPORT_FILE), buildReport(job, results));
+}
+
+module.exports = {
+  REPORT_FILE,
+  referencePixels,
+  measureSsim,
+  summarizeBatch,
+  buildReport,
+  writeReport
+};
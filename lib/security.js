@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// Loopback, private, link-local, shared, documentation (TEST-NET), benchmark,
+// reserved and multicast addresses. IPv4-mapped IPv6 addresses are checked
+// against the IPv4 ranges by BlockList itself; a ::ffff:0:0/96 rule would
+// match every IPv4 address. NAT64, 6to4 (2002::/16) and Teredo (2001::/32)
+// embed an IPv4 address that may be private, so they are refused as a whole.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['2001::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// Helper function to check if an address is in PRIVATE_RANGES, including
+// IPv4 addresses written as IPv4-mapped IPv6 (::ffff:127.0.0.1). Anything
+// that isn't an IP address counts as private.
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+  }
+  const family = net.isIP(address);
+  return family === 0 || PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Helper function to check a path inside a job, like "hero.webp" or, for
+// archive uploads, "blog/2024/hero.webp". Rejects empty and hidden segments
+// (so also ".."), backslashes, control characters and `reservedDirs`.
+function isOutputPath(name, reservedDirs) {
+  const segments = String(name).split('/');
+  if (segments.some(segment => !segment || segment.startsWith('.') || /[\u0000-\u001f\\]/.test(segment))) {
+    return false;
+  }
+  return segments.length === 1 || !reservedDirs.includes(segments[0]);
+}
+
+// Helper function to sort out a ZIP entry by its name: 'outside' when it
+// points outside the archive (absolute, drive-letter or ".." paths), 'skip'
+// for folders, hidden files and __MACOSX/, and 'file' for the rest
+function classifyArchiveEntry(name) {
+  const segments = name.split('/');
+  if (name.startsWith('/') || segments.includes('..') || /^[a-z]:/i.test(name)) {
+    return 'outside';
+  }
+  if (name.endsWith('/') || segments.some(segment => segment.startsWith('.')) || segments[0] === '__MACOSX') {
+    return 'skip';
+  }
+  return 'file';
+}
+
+// Helper function to sign a webhook body for the X-Webhook-Signature header:
+// "sha256=" and the hex HMAC-SHA256 of the raw body, keyed with the secret
+function signWebhook(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Helper function to check an X-Webhook-Signature header against the body
+// it came with, in constant time
+function verifyWebhookSignature(body, signature, secret) {
+  const expected = Buffer.from(signWebhook(body, secret));
+  const received = Buffer.from(String(signature || ''));
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+module.exports = {
+  isPrivateAddress,
+  isOutputPath,
+  classifyArchiveEntry,
+  signWebhook,
+  verifyWebhookSignature
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./utils');
+const { OUTPUT_FORMATS } = require('./formats');
+
+// Formats offered through <source> elements (most efficient first); the
+// remaining format is used for the fallback <img>
+const SOURCE_FORMATS = ['avif', 'webp'];
+
+// Files with the markup snippets of all images in a job, added to every ZIP download
+const SNIPPET_FILES = {
+  html: 'picture.html',
+  css: 'image-set.css'
+};
+
+// Helper function to turn a file name like "hero-banner_dark" into alt text like "Hero banner dark"
+function altTextFromName(name) {
+  const text = name.replace(/[-_.]+/g, ' ').trim();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Helper function to encode a file name for srcset and url(), where spaces and commas are separators
+function snippetUrl(filename) {
+  return encodeURI(filename).replace(/,/g, '%2C').replace(/'/g, '%27');
+}
+
+// Helper function to build the ready-to-paste <picture> markup and CSS image-set()
+// rule for the variants of one image. File names are relative, so the snippets
+// work next to the files from the ZIP. With several widths the widest set is used;
+// breakpoint variants get `w` descriptors and the requested `sizes`.
+function buildSnippets(baseName, baseOutputName, variants, hasAlpha, placeholder, options) {
+  // Breakpoint variants are all one set; otherwise pick the widest 1x/2x set
+  const widest = Math.max(...variants.map(variant => variant.maxWidth));
+  const byFormat = {};
+  variants
+    .filter(variant => options.breakpoints || variant.maxWidth === widest)
+    .forEach(variant => {
+      byFormat[variant.format] = byFormat[variant.format] || [];
+      byFormat[variant.format].push(variant);
+    });
+  
+  // Images with transparency fall back to PNG, everything else to JPEG
+  const fallbackFormat = (hasAlpha ? ['png', 'jpeg'] : ['jpeg', 'png']).find(format => byFormat[format]) ||
+    Object.keys(byFormat).pop();
+  const sourceFormats = SOURCE_FORMATS.filter(format => byFormat[format] && format !== fallbackFormat);
+  const fallback = byFormat[fallbackFormat];
+  // The <img> src is the 1x variant, or the largest breakpoint
+  const fallbackSrc = options.breakpoints ? fallback[fallback.length - 1] : fallback.find(variant => variant.density === 1);
+  const srcset = list => list.map(variant => `${snippetUrl(variant.filename)} ${variant.descriptor}`).join(', ');
+  const sizes = options.breakpoints ? ` sizes="${escapeHtml(options.sizes)}"` : '';
+  // Opaque images show their dominant color and LQIP until they are loaded
+  const background = placeholder && !hasAlpha
+    ? `${placeholder.dominantColor} url(${placeholder.lqip}) center / cover no-repeat`
+    : null;
+  
+  const html = [
+    '<picture>',
+    ...sourceFormats.map(format =>
+      `  <source type="${OUTPUT_FORMATS[format].contentType}" srcset="${escapeHtml(srcset(byFormat[format]))}"${sizes}>`),
+    `  <img src="${escapeHtml(snippetUrl(fallbackSrc.filename))}" srcset="${escapeHtml(srcset(fallback))}"${sizes} ` +
+      `width="${fallbackSrc.width}" height="${fallbackSrc.height}" alt="${escapeHtml(altTextFromName(baseName))}" ` +
+      `loading="lazy" decoding="async"${background ? ` style="background: ${background}"` : ''}>`,
+    '</picture>'
+  ].join('\n');
+  
+  let className = baseOutputName.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+  if (!/^[a-z_]/.test(className)) {
+    className = `img-${className}`;
+  }
+  const formatOrder = [...sourceFormats, fallbackFormat];
+  const imageSet = (list, indent) => [
+    ...(background ? [`${indent}background-color: ${placeholder.dominantColor};`] : []),
+    `${indent}background-image: url("${snippetUrl(list[fallbackFormat][0].filename)}");`,
+    `${indent}background-image: image-set(`,
+    formatOrder.flatMap(format => list[format].map(variant =>
+      `${indent}  url("${snippetUrl(variant.filename)}") type("${OUTPUT_FORMATS[format].contentType}") ${variant.density}x`)).join(',\n'),
+    `${indent});`
+  ];
+  
+  let css;
+  if (options.breakpoints) {
+    // image-set() has no width descriptors, so each breakpoint gets a
+    // mobile-first media query that swaps in the next larger file
+    const rules = fallback.map((variant, index) => {
+      const set = {};
+      formatOrder.forEach(format => {
+        set[format] = [byFormat[format][index]];
+      });
+      if (index === 0) {
+        return [`.${className} {`, ...imageSet(set, '  '), '}'].join('\n');
+      }
+      return [
+        `@media (min-width: ${fallback[index - 1].width + 1}px) {`,
+        `  .${className} {`,
+        ...imageSet(set, '    '),
+        '  }',
+        '}'
+      ].join('\n');
+    });
+    css = rules.join('\n\n');
+  } else {
+    css = [`.${className} {`, ...imageSet(byFormat, '  '), '}'].join('\n');
+  }
+  
+  return { html, css };
+}
+
+// Helper function to write the snippets of all images in a job to its SNIPPET_FILES
+function writeSnippetFiles(job, results) {
+  for (const [type, filename] of Object.entries(SNIPPET_FILES)) {
+    const content = results
+      .flatMap(result => [
+        { title: result.originalName, snippets: result.snippets },
+        ...Object.entries(result.crops || {}).map(([name, crop]) => ({
+          title: `${result.originalName} (${name} crop)`,
+          snippets: crop.snippets
+        }))
+      ])
+      .filter(entry => entry.snippets)
+      .map(entry => {
+        const heading = type === 'html' ? `<!-- ${entry.title.replace(/--/g, '- -')} -->` : `/* ${entry.title.replace(/\*\//g, '* /')} */`;
+        return `${heading}\n${entry.snippets[type]}\n`;
+      })
+      .join('\n');
+    fs.writeFileSync(path.join(job.dir, filename), content);
+  }
+}
+
+module.exports = {
+  SNIPPET_FILES,
+  altTextFromName,
+  snippetUrl,
+  buildSnippets,
+  writeSnippetFiles
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// Helper function to create an error that route handlers report with the given HTTP status
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Helper function to parse a byte size given as a number or a string like "150KB" or "1.5MB".
+// Returns null for anything else.
+function parseByteSize(value) {
+  if (Number.isInteger(value) && value > 0) {
+    return value;
+  }
+  const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i);
+  if (!match) {
+    return null;
+  }
+  const multiplier = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 }[(match[2] || 'B').toUpperCase()];
+  const bytes = Math.round(parseFloat(match[1]) * multiplier);
+  return bytes > 0 ? bytes : null;
+}
+
+// Helper function to hash file contents (hex SHA-256)
+function contentHash(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Helper function to generate a random 5-character hash
+function generateRandomHash() {
+  const characters = 'abcdefghijklmnopqrstuvwxyz0123456789';
+  let result = '';
+  for (let i = 0; i < 5; i++) {
+    result += characters.charAt(Math.floor(Math.random() * characters.length));
+  }
+  return result;
+}
+
+// Helper function to escape a value for use in HTML text or attributes
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+module.exports = {
+  httpError,
+  parseByteSize,
+  contentHash,
+  generateRandomHash,
+  escapeHtml
+};
@@ -0,0 +1,96 @@
+const sharp = require('sharp');
+const { httpError, contentHash, escapeHtml } = require('./utils');
+
+// Named watermark placements: `margin` and `scale` (the watermark width) are
+// fractions of each output's width, so 1x and @2x files look the same
+const WATERMARK_PRESETS = {
+  corner: { position: 'bottom-right', margin: 0.02, opacity: 0.6, scale: 0.2 },
+  subtle: { position: 'bottom-right', margin: 0.015, opacity: 0.3, scale: 0.12 },
+  center: { position: 'center', margin: 0, opacity: 0.35, scale: 0.6 }
+};
+
+const WATERMARK_POSITIONS = {
+  'top-left': [0, 0], top: [0.5, 0], 'top-right': [1, 0],
+  left: [0, 0.5], center: [0.5, 0.5], right: [1, 0.5],
+  'bottom-left': [0, 1], bottom: [0.5, 1], 'bottom-right': [1, 1]
+};
+
+const MAX_WATERMARK_TEXT = 60;
+
+// Font size text watermarks are rendered at before being scaled down, and the
+// largest size a watermark logo is kept at
+const WATERMARK_FONT_SIZE = 200;
+
+const MAX_WATERMARK_PX = 2048;
+
+// Helper function to prepare the watermark of an upload: the uploaded logo
+// (auto-oriented, at most MAX_WATERMARK_PX) or the text rendered from SVG and
+// trimmed to its outline. Resolves with the settings plus the `image` (PNG),
+// its size and a `hash` of both.
+async function prepareWatermark(settings, file) {
+  let image;
+  if (settings.text) {
+    const fontSize = WATERMARK_FONT_SIZE;
+    const svg = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.ceil((settings.text.length + 1) * fontSize * 0.75)}" height="${fontSize * 2}">`,
+      `  <text x="${fontSize / 2}" y="${fontSize * 1.3}" font-family="sans-serif" font-size="${fontSize}" font-weight="bold" ` +
+        `fill="${settings.color}" stroke="rgba(0, 0, 0, 0.35)" stroke-width="${fontSize / 40}" paint-order="stroke">${escapeHtml(settings.text)}</text>`,
+      '</svg>'
+    ].join('\n');
+    image = await sharp(Buffer.from(svg)).trim().png().toBuffer();
+  } else if (file) {
+    image = await sharp(file.path)
+      .rotate()
+      .resize(MAX_WATERMARK_PX, MAX_WATERMARK_PX, { fit: 'inside', withoutEnlargement: true })
+      .ensureAlpha()
+      .png()
+      .toBuffer();
+  } else {
+    throw httpError(400, 'options.watermark needs a text or an image uploaded in the "watermark" field');
+  }
+  
+  const { width, height } = await sharp(image).metadata();
+  const hash = contentHash(JSON.stringify([settings, contentHash(image)]));
+  return { ...settings, image, width, height, hash };
+}
+
+// Helper function to build the sharp composite entry that places a watermark
+// on an output of the given size. Resolves with null when it doesn't fit.
+async function watermarkOverlay(watermark, width, height) {
+  const margin = Math.round(watermark.margin * width);
+  const room = { width: width - 2 * margin, height: height - 2 * margin };
+  // Scaled to a share of the width, but never larger than the room inside the margins
+  const scale = Math.min(watermark.scale * width / watermark.width, room.width / watermark.width, room.height / watermark.height);
+  const overlayWidth = Math.round(watermark.width * scale);
+  const overlayHeight = Math.round(watermark.height * scale);
+  if (overlayWidth < 1 || overlayHeight < 1) {
+    return null;
+  }
+  
+  // Fade the watermark by scaling its alpha channel
+  const input = await sharp(watermark.image)
+    .resize(overlayWidth, overlayHeight, { fit: 'fill' })
+    .composite([{
+      input: Buffer.from([0, 0, 0, Math.round(watermark.opacity * 255)]),
+      raw: { width: 1, height: 1, channels: 4 },
+      tile: true,
+      blend: 'dest-in'
+    }])
+    .png()
+    .toBuffer();
+  
+  const [x, y] = WATERMARK_POSITIONS[watermark.position];
+  return {
+    input,
+    left: margin + Math.round(x * (room.width - overlayWidth)),
+    top: margin + Math.round(y * (room.height - overlayHeight))
+  };
+}
+
+module.exports = {
+  WATERMARK_PRESETS,
+  WATERMARK_POSITIONS,
+  MAX_WATERMARK_TEXT,
+  prepareWatermark,
+  watermarkOverlay
+};
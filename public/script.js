@@ -3,6 +3,11 @@ document.addEventListener('DOMContentLoaded', () => {
     const uploadForm = document.getElementById('upload-form');
     const imagesInput = document.getElementById('images-input');
     const filesCountSpan = document.getElementById('files-count');
+    const urlsToggleBtn = document.getElementById('urls-toggle-btn');
+    const urlsContainer = document.getElementById('urls-container');
+    const urlsInput = document.getElementById('urls-input');
+    const processUrlsBtn = document.getElementById('process-urls-btn');
+    const archiveInput = document.getElementById('archive-input');
     
     // Preview elements
     const previewContainer = document.getElementById('preview-container');
@@ -11,18 +16,103 @@ document.addEventListener('DOMContentLoaded', () => {
     const clearBtn = document.getElementById('clear-btn');
     
     // Results elements
-    const loader = document.getElementById('loader');
+    const progress = document.getElementById('progress');
+    const progressBar = document.getElementById('progress-bar');
     const processingStatus = document.getElementById('processing-status');
     const resultsSection = document.getElementById('results-section');
     const resultsContainer = document.getElementById('results-container');
     const downloadAllBtn = document.getElementById('download-all-btn');
+    const downloadReportBtn = document.getElementById('download-report-btn');
+    
+    // Before/after comparison viewer
+    const compareModal = document.getElementById('compare-modal');
+    const compareTitle = document.getElementById('compare-title');
+    const compareFormats = document.getElementById('compare-formats');
+    const compareZoomLevel = document.getElementById('compare-zoom-level');
+    const compareCloseBtn = document.getElementById('compare-close-btn');
+    const compareStage = document.getElementById('compare-stage');
+    const compareAfter = document.getElementById('compare-after');
+    const compareBefore = document.getElementById('compare-before');
+    const compareBeforeLayer = document.getElementById('compare-before-layer');
+    const compareHandle = document.getElementById('compare-handle');
+    const compareBeforeLabel = document.getElementById('compare-before-label');
+    const compareAfterLabel = document.getElementById('compare-after-label');
+    
+    // Processing option controls
+    const sizingModeInputs = document.querySelectorAll('input[name="sizing-mode"]');
+    const widthsOptions = document.getElementById('widths-options');
+    const breakpointOptions = document.getElementById('breakpoint-options');
+    const widthsInput = document.getElementById('widths-input');
+    const retinaInput = document.getElementById('retina-input');
+    const breakpointsInput = document.getElementById('breakpoints-input');
+    const sizesInput = document.getElementById('sizes-input');
+    const cropInputs = document.querySelectorAll('input[name="crops"]');
+    const cropStrategyInput = document.getElementById('crop-strategy-input');
+    const namingInput = document.getElementById('naming-input');
+    const autoOrientInput = document.getElementById('auto-orient-input');
+    const metadataInputs = document.querySelectorAll('input[name="metadata"]');
+    const spriteInput = document.getElementById('sprite-input');
+    const spritePaddingInput = document.getElementById('sprite-padding-input');
+    const spritePrefixInput = document.getElementById('sprite-prefix-input');
+    const spriteScssInput = document.getElementById('sprite-scss-input');
+    const iconSetInput = document.getElementById('icon-set-input');
+    const iconSetNameInput = document.getElementById('icon-set-name-input');
+    const iconSetThemeInput = document.getElementById('icon-set-theme-input');
+    const iconSetBackgroundInput = document.getElementById('icon-set-background-input');
+    const watermarkInput = document.getElementById('watermark-input');
+    const watermarkPresetInput = document.getElementById('watermark-preset-input');
+    const watermarkTextInput = document.getElementById('watermark-text-input');
+    const watermarkLogoInput = document.getElementById('watermark-logo-input');
+    const watermarkLogoName = document.getElementById('watermark-logo-name');
+    const formatOptions = document.querySelectorAll('.format-option');
+    
+    // API key controls, shown when the server requires a key
+    const apiKeyRow = document.getElementById('api-key-row');
+    const apiKeyInput = document.getElementById('api-key-input');
+    const apiKeySaveBtn = document.getElementById('api-key-save-btn');
+    const apiKeyStatus = document.getElementById('api-key-status');
+    
+    // Cookie the API key is kept in; the server reads it from every request,
+    // including image URLs and the progress stream, which can't send headers
+    const API_KEY_COOKIE = 'apiKey';
+    const API_KEY_MAX_AGE = 30 * 24 * 60 * 60;
+    
+    // Display names for the output formats the server can produce
+    const FORMAT_NAMES = {
+        png: 'PNG',
+        webp: 'WebP',
+        avif: 'AVIF',
+        jpeg: 'JPEG',
+        gif: 'GIF'
+    };
+    
+    // Zoom range of the comparison viewer, in device pixels per image pixel
+    const COMPARE_MIN_ZOOM = 0.05;
+    const COMPARE_MAX_ZOOM = 16;
     
     // Array to store files to be processed
     let filesToProcess = [];
     
+    // Focal points for crops, keyed by file name, as { x, y } fractions of the image size
+    let focalPoints = {};
+    
     // Array to store processed image URLs
     let processedImages = [];
     
+    // Sprite sheet the job packed the images into, if sprite mode was on
+    let processedSprite = null;
+    
+    // Favicons and app icons the job generated, if icon set mode was on
+    let processedIconSet = null;
+    
+    // ID of the job the processed images belong to
+    let processedJobId = null;
+    
+    // What the comparison viewer shows: the image and output `key`, the output's
+    // size, the zoom (CSS pixels per image pixel), the pan offset in `x` and `y`,
+    // the split as a percentage of the stage width, and the current drag
+    const comparison = { image: null, key: null, width: 0, height: 0, zoom: 1, x: 0, y: 0, split: 50, drag: null };
+    
     // Update file count and add files to preview grid when files are selected
     imagesInput.addEventListener('change', () => {
         if (!imagesInput.files.length) {
@@ -72,6 +162,43 @@ document.addEventListener('DOMContentLoaded', () => {
             };
             reader.readAsDataURL(file);
             
+            // Focal point marker, placed once the image has loaded
+            const marker = document.createElement('div');
+            marker.className = 'focal-marker';
+            marker.title = 'Focal point (click to remove)';
+            marker.style.display = 'none';
+            
+            const placeMarker = () => {
+                const point = focalPoints[file.name];
+                if (!point || !img.naturalWidth) {
+                    marker.style.display = 'none';
+                    return;
+                }
+                const box = coverGeometry(img);
+                marker.style.left = `${box.left + point.x * box.width}px`;
+                marker.style.top = `${box.top + point.y * box.height}px`;
+                marker.style.display = 'block';
+            };
+            img.addEventListener('load', placeMarker);
+            
+            // Click the preview to set the focal point used by crops
+            img.title = 'Click to set the focal point for crops';
+            img.addEventListener('click', (event) => {
+                const box = coverGeometry(img);
+                const x = (event.offsetX - box.left) / box.width;
+                const y = (event.offsetY - box.top) / box.height;
+                focalPoints[file.name] = {
+                    x: Math.min(Math.max(x, 0), 1),
+                    y: Math.min(Math.max(y, 0), 1)
+                };
+                placeMarker();
+            });
+            
+            marker.addEventListener('click', () => {
+                delete focalPoints[file.name];
+                placeMarker();
+            });
+            
             // Create remove button
             const removeBtn = document.createElement('button');
             removeBtn.className = 'preview-remove';
@@ -79,6 +206,7 @@ document.addEventListener('DOMContentLoaded', () => {
             removeBtn.title = 'Remove';
             removeBtn.addEventListener('click', () => {
                 filesToProcess.splice(index, 1);
+                delete focalPoints[file.name];
                 updatePreviewGrid();
             });
             
@@ -89,6 +217,7 @@ document.addEventListener('DOMContentLoaded', () => {
             
             // Add elements to the preview item
             previewItem.appendChild(img);
+            previewItem.appendChild(marker);
             previewItem.appendChild(removeBtn);
             previewItem.appendChild(nameLabel);
             
@@ -104,9 +233,204 @@ document.addEventListener('DOMContentLoaded', () => {
         clearBtn.disabled = filesToProcess.length === 0;
     }
     
+    // Grey out a format's settings while the format itself is unchecked
+    formatOptions.forEach(fieldset => {
+        const toggle = fieldset.querySelector('.format-toggle');
+        toggle.addEventListener('change', () => {
+            fieldset.disabled = !toggle.checked;
+        });
+    });
+    
+    // Read the saved API key from its cookie
+    function savedApiKey() {
+        const cookie = document.cookie
+            .split(';')
+            .map(part => part.trim())
+            .find(part => part.startsWith(`${API_KEY_COOKIE}=`));
+        return cookie ? decodeURIComponent(cookie.slice(API_KEY_COOKIE.length + 1)) : '';
+    }
+    
+    // Ask the server whether it needs an API key, and show the key field if so
+    fetch('/api/health')
+        .then(response => response.json())
+        .then(health => {
+            if (health.authRequired) {
+                apiKeyRow.style.display = 'flex';
+                apiKeyInput.value = savedApiKey();
+                apiKeyStatus.textContent = apiKeyInput.value ? 'Saved' : 'This server needs an API key';
+            }
+        })
+        .catch(error => console.error('Health check error:', error));
+    
+    // Save the API key for 30 days; saving an empty key removes it
+    apiKeySaveBtn.addEventListener('click', () => {
+        const key = apiKeyInput.value.trim();
+        document.cookie = `${API_KEY_COOKIE}=${encodeURIComponent(key)}; path=/; SameSite=Strict; max-age=${key ? API_KEY_MAX_AGE : 0}`;
+        apiKeyStatus.textContent = key ? 'Saved' : 'Removed';
+    });
+    
+    // Show which logo will be used as the watermark
+    watermarkLogoInput.addEventListener('change', () => {
+        const logo = watermarkLogoInput.files[0];
+        watermarkLogoName.textContent = logo ? logo.name : '';
+        if (logo) {
+            watermarkInput.checked = true;
+        }
+    });
+    
+    // Show the controls of the selected sizing mode
+    sizingModeInputs.forEach(input => {
+        input.addEventListener('change', () => {
+            const breakpointMode = input.value === 'breakpoints' && input.checked;
+            widthsOptions.hidden = breakpointMode;
+            breakpointOptions.hidden = !breakpointMode;
+        });
+    });
+    
+    // Parse a comma-separated list of pixel widths
+    function parseWidthList(value, label) {
+        const widths = value
+            .split(',')
+            .map(item => item.trim())
+            .filter(item => item !== '')
+            .map(item => Number(item));
+        
+        if (widths.length === 0 || widths.some(width => !Number.isInteger(width) || width < 1)) {
+            throw new Error(`${label} must be a comma-separated list of whole numbers`);
+        }
+        return widths;
+    }
+    
+    // Collect the processing options for a batch of imageCount images from
+    // the controls into the JSON sent with the upload
+    function collectProcessingOptions(imageCount) {
+        const options = {
+            formats: [],
+            budgets: {},
+            crops: Array.from(cropInputs)
+                .filter(input => input.checked)
+                .map(input => ({ name: input.value, strategy: cropStrategyInput.value })),
+            focalPoints,
+            naming: namingInput.value,
+            autoOrient: autoOrientInput.checked,
+            metadata: {}
+        };
+        
+        metadataInputs.forEach(input => {
+            options.metadata[input.value] = input.checked;
+        });
+        if (options.metadata.gps && !options.metadata.exif) {
+            throw new Error('Keeping the GPS location needs EXIF too');
+        }
+        
+        if (breakpointOptions.hidden) {
+            options.widths = parseWidthList(widthsInput.value, 'Max widths');
+            options.retina = retinaInput.checked;
+        } else {
+            options.breakpoints = parseWidthList(breakpointsInput.value, 'Breakpoints');
+            options.sizes = sizesInput.value.trim() || '100vw';
+        }
+        
+        formatOptions.forEach(fieldset => {
+            if (!fieldset.querySelector('.format-toggle').checked) {
+                return;
+            }
+            
+            const format = fieldset.dataset.format;
+            const settings = {};
+            fieldset.querySelectorAll('[data-setting]').forEach(input => {
+                settings[input.dataset.setting] = input.type === 'checkbox' ? input.checked : Number(input.value);
+            });
+            
+            options.formats.push(format);
+            options[format] = settings;
+            
+            const budget = fieldset.querySelector('[data-budget]').value;
+            if (budget) {
+                options.budgets[format] = `${budget}KB`;
+            }
+        });
+        
+        if (options.formats.length === 0) {
+            throw new Error('Select at least one output format');
+        }
+        
+        // Sprite mode packs the images as they are, without breakpoints or crops
+        if (spriteInput.checked) {
+            if (options.breakpoints) {
+                throw new Error('Sprite sheets use max widths, not breakpoints');
+            }
+            if (options.crops.length > 0) {
+                throw new Error('Sprite sheets cannot be combined with crops');
+            }
+            delete options.crops;
+            options.sprite = {
+                padding: Number(spritePaddingInput.value),
+                prefix: spritePrefixInput.value.trim() || 'icon',
+                scss: spriteScssInput.checked
+            };
+        }
+        
+        // Icon set mode turns a single logo into favicons and app icons
+        if (iconSetInput.checked) {
+            if (options.sprite) {
+                throw new Error('Choose either a sprite sheet or an icon set');
+            }
+            if (options.breakpoints) {
+                throw new Error('Icon sets use max widths, not breakpoints');
+            }
+            if (options.crops.length > 0) {
+                throw new Error('Icon sets cannot be combined with crops');
+            }
+            if (imageCount !== 1) {
+                throw new Error('Icon sets are made from a single logo');
+            }
+            delete options.crops;
+            options.iconSet = {
+                themeColor: iconSetThemeInput.value,
+                backgroundColor: iconSetBackgroundInput.value
+            };
+            if (iconSetNameInput.value.trim()) {
+                options.iconSet.name = iconSetNameInput.value.trim();
+            }
+        }
+        
+        // Watermarks use the text if there is one, the chosen logo otherwise
+        if (watermarkInput.checked) {
+            if (options.sprite || options.iconSet) {
+                throw new Error('Watermarks cannot be added to sprite sheets or icon sets');
+            }
+            const text = watermarkTextInput.value.trim();
+            if (!text && watermarkLogoInput.files.length === 0) {
+                throw new Error('Enter a watermark text or choose a logo');
+            }
+            options.watermark = { preset: watermarkPresetInput.value };
+            if (text) {
+                options.watermark.text = text;
+            }
+        }
+        
+        return options;
+    }
+    
+    // Where an `object-fit: cover` image is drawn inside its element: the
+    // scaled image size and its offset (negative where it is cut off)
+    function coverGeometry(img) {
+        const scale = Math.max(img.clientWidth / img.naturalWidth, img.clientHeight / img.naturalHeight);
+        const width = img.naturalWidth * scale;
+        const height = img.naturalHeight * scale;
+        return {
+            left: (img.clientWidth - width) / 2,
+            top: (img.clientHeight - height) / 2,
+            width,
+            height
+        };
+    }
+    
     // Clear all files
     clearBtn.addEventListener('click', () => {
         filesToProcess = [];
+        focalPoints = {};
         updatePreviewGrid();
     });
     
@@ -117,23 +441,113 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
         
-        // Show loader and hide results
-        loader.style.display = 'block';
-        resultsSection.style.display = 'none';
-        previewContainer.style.display = 'none';
-        processingStatus.textContent = `Processing ${filesToProcess.length} image(s)...`;
+        let options;
+        try {
+            options = collectProcessingOptions(filesToProcess.length);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
         
         // Create FormData object
         const formData = new FormData();
         filesToProcess.forEach(file => {
             formData.append('images', file);
         });
+        formData.append('options', JSON.stringify(options));
+        if (options.watermark && !options.watermark.text) {
+            formData.append('watermark', watermarkLogoInput.files[0]);
+        }
+        
+        const done = await submitJob('/upload?async=true', { body: formData }, `Uploading ${filesToProcess.length} image(s)...`);
+        if (done) {
+            // Clear files to process
+            filesToProcess = [];
+        }
+    });
+    
+    // Show or hide the field for pasting image URLs
+    urlsToggleBtn.addEventListener('click', () => {
+        urlsContainer.hidden = !urlsContainer.hidden;
+        if (!urlsContainer.hidden) {
+            urlsInput.focus();
+        }
+    });
+    
+    // Process the images at the pasted URLs; the server downloads them itself
+    processUrlsBtn.addEventListener('click', async () => {
+        const urls = urlsInput.value.split(/\s+/).filter(Boolean);
+        if (urls.length === 0) {
+            alert('Paste at least one image URL');
+            return;
+        }
+        
+        let options;
+        try {
+            options = collectProcessingOptions(urls.length);
+            if (options.watermark && !options.watermark.text) {
+                throw new Error('Logo watermarks need uploaded images; use a text watermark for URLs');
+            }
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        // Focal points belong to the chosen files, not to these images
+        delete options.focalPoints;
+        
+        const done = await submitJob('/upload-from-url?async=true', {
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ urls, options })
+        }, `Fetching ${urls.length} image(s)...`);
+        if (done) {
+            urlsInput.value = '';
+            urlsContainer.hidden = true;
+        }
+    });
+    
+    // Process the images of a ZIP as soon as it is chosen; the server keeps its folders
+    archiveInput.addEventListener('change', async () => {
+        const archive = archiveInput.files[0];
+        archiveInput.value = '';
+        if (!archive) {
+            return;
+        }
         
+        // The number of images is only known once the server has extracted them
+        let options;
         try {
-            // Send the upload request
-            const response = await fetch('/upload', {
+            options = collectProcessingOptions(null);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        
+        const formData = new FormData();
+        formData.append('archive', archive);
+        formData.append('options', JSON.stringify(options));
+        if (options.watermark && !options.watermark.text) {
+            formData.append('watermark', watermarkLogoInput.files[0]);
+        }
+        
+        await submitJob('/upload-archive?async=true', { body: formData }, `Uploading ${archive.name}...`);
+    });
+    
+    // Send a batch to the server, follow its job and display the results.
+    // Resolves with true once the results are shown, false when it failed.
+    async function submitJob(url, request, statusText) {
+        // Show progress bar and hide results
+        updateProgress(0);
+        progress.style.display = 'block';
+        resultsSection.style.display = 'none';
+        previewContainer.style.display = 'none';
+        processingStatus.textContent = statusText;
+        processUrlsBtn.disabled = true;
+        
+        try {
+            // Send the request; the server queues the job and answers right away
+            const response = await fetch(url, {
                 method: 'POST',
-                body: formData
+                ...request
             });
             
             if (!response.ok) {
@@ -141,36 +555,111 @@ document.addEventListener('DOMContentLoaded', () => {
                 throw new Error(errorData.error || 'Upload failed');
             }
             
-            const data = await response.json();
+            const job = await response.json();
+            processingStatus.textContent = 'Waiting for processing to start...';
+            
+            // Follow the job's progress until it is done
+            const data = await watchJob(job);
             console.log('Server response:', data);
             
             // Save the processed images data
             processedImages = data.images;
+            processedSprite = data.sprite || null;
+            processedIconSet = data.iconSet || null;
+            processedJobId = data.jobId;
             
-            // Clear files to process
-            filesToProcess = [];
+            // The quality report is only written for regular image batches
+            downloadReportBtn.hidden = !data.reportUrl;
+            downloadReportBtn.href = data.reportUrl || '#';
             
             // Display the processed images
-            displayResults(processedImages);
+            displayResults(processedImages, data.summary);
+            if (processedSprite) {
+                displaySprite(processedSprite);
+            }
+            if (processedIconSet) {
+                displayIconSet(processedIconSet);
+            }
+            return true;
             
         } catch (error) {
             alert(`Error: ${error.message}`);
             console.error('Upload error:', error);
-            previewContainer.style.display = 'block';
+            previewContainer.style.display = filesToProcess.length > 0 ? 'block' : 'none';
+            return false;
         } finally {
-            loader.style.display = 'none';
+            progress.style.display = 'none';
             processingStatus.textContent = '';
+            processUrlsBtn.disabled = false;
         }
-    });
+    }
+    
+    // Set the progress bar to a fraction between 0 and 1
+    function updateProgress(fraction) {
+        const percent = Math.round(fraction * 100);
+        progressBar.style.width = `${percent}%`;
+        progressBar.textContent = `${percent}%`;
+    }
+    
+    // Follow a queued job through its event stream. Resolves with the
+    // processing results, rejects when the job fails or can't be followed.
+    function watchJob(job) {
+        return new Promise((resolve, reject) => {
+            const events = new EventSource(job.eventsUrl);
+            
+            events.addEventListener('status', (event) => {
+                const status = JSON.parse(event.data);
+                updateProgress(status.progress);
+                if (status.status === 'processing') {
+                    processingStatus.textContent = `Processing ${status.images.length} image(s)...`;
+                }
+            });
+            
+            events.addEventListener('image', (event) => {
+                const image = JSON.parse(event.data);
+                if (image.status === 'processing') {
+                    processingStatus.textContent = `Processing ${image.originalName}...`;
+                }
+            });
+            
+            events.addEventListener('variant', (event) => {
+                const variant = JSON.parse(event.data);
+                updateProgress(variant.progress);
+                processingStatus.textContent = `Processing ${variant.originalName}: ${variant.completed}/${variant.total} files`;
+            });
+            
+            events.addEventListener('done', (event) => {
+                events.close();
+                updateProgress(1);
+                resolve(JSON.parse(event.data));
+            });
+            
+            events.addEventListener('failed', (event) => {
+                events.close();
+                reject(new Error(JSON.parse(event.data).error || 'Processing failed'));
+            });
+            
+            // EventSource reconnects by itself unless the stream is gone for good
+            events.onerror = () => {
+                if (events.readyState === EventSource.CLOSED) {
+                    reject(new Error('Lost connection to the processing job'));
+                }
+            };
+        });
+    }
     
     // Function to display the processed images
-    function displayResults(imagesData) {
+    function displayResults(imagesData, summary) {
         // Show results section
         resultsSection.style.display = 'block';
         
         // Clear previous results
         resultsContainer.innerHTML = '';
         
+        if (summary) {
+            resultsContainer.appendChild(createBatchSummary(summary));
+        }
+        
         // Create a result group for each uploaded image
         imagesData.forEach((imageData, index) => {
             const imageGroup = document.createElement('div');
@@ -184,31 +673,64 @@ document.addEventListener('DOMContentLoaded', () => {
             title.className = 'image-group-title';
             title.textContent = `Image ${index + 1}: ${imageData.originalName}`;
             
+            // Animated images keep their frames in WebP (and GIF)
+            if (imageData.animation) {
+                const badge = document.createElement('span');
+                badge.className = 'animated-badge';
+                badge.textContent = `Animated · ${imageData.animation.frames} frames`;
+                title.appendChild(badge);
+            }
+            
             header.appendChild(title);
+            
+            // Buttons to copy the generated markup
+            if (imageData.snippets) {
+                const snippetButtons = document.createElement('div');
+                snippetButtons.className = 'snippet-buttons';
+                if (imageData.placeholder) {
+                    snippetButtons.appendChild(createPlaceholderPreview(imageData.placeholder));
+                    snippetButtons.appendChild(createCopyButton('Copy BlurHash', imageData.placeholder.blurhash));
+                }
+                snippetButtons.appendChild(createCopyButton('Copy HTML', imageData.snippets.html));
+                snippetButtons.appendChild(createCopyButton('Copy CSS', imageData.snippets.css));
+                header.appendChild(snippetButtons);
+            }
+            
             imageGroup.appendChild(header);
             
+            if (imageData.sourceMetadata) {
+                imageGroup.appendChild(createMetadataLine(imageData.sourceMetadata, imageData.outputMetadata));
+            }
+            
             // Create the results grid for this image
             const resultsGrid = document.createElement('div');
             resultsGrid.className = 'results-grid';
             
-            // Add each format
-            if (imageData.files.png) {
-                resultsGrid.appendChild(createFormatItem('PNG', imageData.files.png));
-            }
-            
-            if (imageData.files.webp) {
-                resultsGrid.appendChild(createFormatItem('WebP', imageData.files.webp));
-            }
+            // Add each format; still images can be compared with their original
+            const comparable = Boolean(imageData.originalUrl) && !imageData.animation;
+            Object.entries(imageData.files).forEach(([key, url]) => {
+                const details = imageData.variants ? imageData.variants[key] : null;
+                const onCompare = comparable && details ? () => openComparison(imageData, key) : null;
+                resultsGrid.appendChild(createFormatItem(formatLabel(key), url, details, onCompare));
+            });
             
-            if (imageData.files.png2x) {
-                resultsGrid.appendChild(createFormatItem('PNG @2x', imageData.files.png2x));
-            }
+            imageGroup.appendChild(resultsGrid);
             
-            if (imageData.files.webp2x) {
-                resultsGrid.appendChild(createFormatItem('WebP @2x', imageData.files.webp2x));
-            }
+            // Each crop gets its own set of cards
+            Object.entries(imageData.crops || {}).forEach(([cropName, crop]) => {
+                const cropTitle = document.createElement('h4');
+                cropTitle.className = 'crop-title';
+                cropTitle.textContent = `${cropName} crop (${crop.ratio})`;
+                imageGroup.appendChild(cropTitle);
+                
+                const cropGrid = document.createElement('div');
+                cropGrid.className = 'results-grid';
+                Object.entries(crop.files).forEach(([key, url]) => {
+                    cropGrid.appendChild(createFormatItem(formatLabel(key), url, crop.variants[key]));
+                });
+                imageGroup.appendChild(cropGrid);
+            });
             
-            imageGroup.appendChild(resultsGrid);
             resultsContainer.appendChild(imageGroup);
         });
         
@@ -216,8 +738,243 @@ document.addEventListener('DOMContentLoaded', () => {
         resultsSection.scrollIntoView({ behavior: 'smooth' });
     }
     
-    // Function to create a single format result item
-    function createFormatItem(formatName, url) {
+    // Function to summarize the savings and similarity of a whole batch, overall and per format
+    function createBatchSummary(summary) {
+        const box = document.createElement('div');
+        box.className = 'batch-summary';
+        
+        const parts = [
+            `${summary.images} image(s), ${summary.variants} files`,
+            `${Math.round(summary.originalBytes / 1024)} KB of originals`,
+            `average savings ${Math.round(summary.averageSavings * 100)}%`
+        ];
+        if (summary.averageSsim !== null) {
+            parts.push(`average SSIM ${summary.averageSsim.toFixed(3)} (lowest ${summary.minSsim.toFixed(3)})`);
+        }
+        if (summary.largerThanOriginal > 0) {
+            parts.push(`${summary.largerThanOriginal} larger than the original`);
+        }
+        box.textContent = parts.join(' · ');
+        
+        const formats = document.createElement('div');
+        formats.className = 'batch-summary-formats';
+        formats.textContent = Object.entries(summary.formats).map(([format, stats]) => {
+            const ssim = stats.averageSsim !== null ? `, SSIM ${stats.averageSsim.toFixed(3)}` : '';
+            return `${FORMAT_NAMES[format] || format}: ${Math.round(stats.averageSavings * 100)}% saved${ssim}`;
+        }).join(' · ');
+        box.appendChild(formats);
+        
+        return box;
+    }
+    
+    // Function to show the LQIP of an image on its dominant color
+    function createPlaceholderPreview(placeholder) {
+        const preview = document.createElement('span');
+        preview.className = 'placeholder-preview';
+        preview.style.backgroundColor = placeholder.dominantColor;
+        preview.style.backgroundImage = `url(${placeholder.lqip})`;
+        preview.title = `Placeholder · dominant color ${placeholder.dominantColor}`;
+        return preview;
+    }
+    
+    // Function to summarize the metadata of an upload and what happened to it
+    function createMetadataLine(source, output) {
+        const parts = [`Source: ${source.width}×${source.height} ${source.format.toUpperCase()}`];
+        
+        if (output.autoOriented) {
+            parts.push(`rotated upright (orientation ${source.orientation})`);
+        }
+        if (source.exif && (source.exif.make || source.exif.model)) {
+            parts.push([source.exif.make, source.exif.model].filter(Boolean).join(' '));
+        }
+        if (source.iccProfile) {
+            parts.push(output.iccProfile ? `${source.iccProfile} → sRGB` : source.iccProfile);
+        }
+        parts.push(output.kept.length > 0 ? `kept ${output.kept.join(', ').toUpperCase()}` : 'metadata stripped');
+        if (source.exif && source.exif.gps) {
+            parts.push(output.gpsStripped ? 'GPS removed' : 'GPS kept');
+        }
+        
+        const line = document.createElement('div');
+        line.className = 'result-details';
+        line.textContent = parts.join(' · ');
+        return line;
+    }
+    
+    // Function to display a sprite sheet with links to its stylesheets
+    function displaySprite(sprite) {
+        const spriteGroup = document.createElement('div');
+        spriteGroup.className = 'image-group';
+        
+        const header = document.createElement('div');
+        header.className = 'image-group-header';
+        
+        const title = document.createElement('div');
+        title.className = 'image-group-title';
+        title.textContent = `Sprite sheet: ${sprite.icons.length} icons, ${sprite.width}×${sprite.height}px`;
+        header.appendChild(title);
+        
+        const links = document.createElement('div');
+        links.className = 'snippet-buttons';
+        const stylesheets = [['CSS', sprite.stylesheet], ['SCSS', sprite.scss], ['Preview', sprite.preview]];
+        stylesheets.filter(([, url]) => url).forEach(([label, url]) => {
+            const link = document.createElement('a');
+            link.className = 'copy-btn';
+            link.textContent = label;
+            link.href = url;
+            link.target = '_blank';
+            links.appendChild(link);
+        });
+        header.appendChild(links);
+        
+        spriteGroup.appendChild(header);
+        
+        const resultsGrid = document.createElement('div');
+        resultsGrid.className = 'results-grid';
+        Object.entries(sprite.files).forEach(([key, url]) => {
+            resultsGrid.appendChild(createFormatItem(formatLabel(key), url, sprite.variants[key]));
+        });
+        spriteGroup.appendChild(resultsGrid);
+        
+        // The class names to use for each icon
+        const classList = document.createElement('div');
+        classList.className = 'result-details';
+        classList.textContent = sprite.icons
+            .map(icon => `.${icon.className} (${icon.originalName})`)
+            .join(' · ');
+        spriteGroup.appendChild(classList);
+        
+        resultsContainer.appendChild(spriteGroup);
+    }
+    
+    // Function to display a favicon and app-icon set with its <link> tags
+    function displayIconSet(iconSet) {
+        const iconGroup = document.createElement('div');
+        iconGroup.className = 'image-group';
+        
+        const header = document.createElement('div');
+        header.className = 'image-group-header';
+        
+        const title = document.createElement('div');
+        title.className = 'image-group-title';
+        title.textContent = 'Icon set';
+        header.appendChild(title);
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'snippet-buttons';
+        buttons.appendChild(createCopyButton('Copy <link> tags', iconSet.snippets.html));
+        const manifestLink = document.createElement('a');
+        manifestLink.className = 'copy-btn';
+        manifestLink.textContent = 'Manifest';
+        manifestLink.href = iconSet.manifest;
+        manifestLink.target = '_blank';
+        buttons.appendChild(manifestLink);
+        header.appendChild(buttons);
+        
+        iconGroup.appendChild(header);
+        
+        // Icons are labelled with the file name they are referenced by
+        const resultsGrid = document.createElement('div');
+        resultsGrid.className = 'results-grid';
+        Object.entries(iconSet.files).forEach(([key, url]) => {
+            resultsGrid.appendChild(createFormatItem(url.split('/').pop(), url, iconSet.variants[key]));
+        });
+        iconGroup.appendChild(resultsGrid);
+        
+        resultsContainer.appendChild(iconGroup);
+    }
+    
+    // Function to create a button that copies a snippet to the clipboard
+    function createCopyButton(label, text) {
+        const button = document.createElement('button');
+        button.className = 'copy-btn';
+        button.textContent = label;
+        button.title = text;
+        
+        button.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(text);
+                button.textContent = 'Copied!';
+            } catch (error) {
+                console.error('Copy error:', error);
+                button.textContent = 'Copy failed';
+            }
+            setTimeout(() => {
+                button.textContent = label;
+            }, 1500);
+        });
+        
+        return button;
+    }
+    
+    // Function to describe a variant's size and budget outcome
+    function createDetailsLine(details) {
+        const line = document.createElement('div');
+        line.className = 'result-details';
+        
+        const parts = [`${details.width}×${details.height}`, `${Math.round(details.bytes / 1024)} KB`];
+        if (details.budget) {
+            const setting = details.budget.quality !== undefined
+                ? `quality ${details.budget.quality}`
+                : `effort ${details.budget.effort !== undefined ? details.budget.effort : details.budget.compressionLevel}`;
+            parts.push(`${setting} for ${Math.round(details.budget.bytes / 1024)} KB budget`);
+        }
+        line.textContent = parts.join(' · ');
+        
+        // Savings against the upload and similarity to the resized source
+        if (details.savings !== undefined) {
+            const badge = document.createElement('span');
+            const badgeParts = details.savings > 0 ? [`−${Math.round(details.savings * 100)}%`] : [];
+            if (details.ssim !== null) {
+                badgeParts.push(`SSIM ${details.ssim.toFixed(3)}`);
+            }
+            if (badgeParts.length > 0) {
+                badge.className = details.savings > 0 ? 'savings-badge' : 'savings-badge no-savings';
+                badge.textContent = badgeParts.join(' · ');
+                badge.title = 'Size saved against the upload, and structural similarity (1 = identical) to the resized source';
+                line.appendChild(badge);
+            }
+        }
+        
+        const warnings = [];
+        if (details.budget && !details.budget.met) {
+            warnings.push('Over budget');
+        }
+        if (details.largerThanOriginal) {
+            warnings.push('Larger than original');
+        }
+        warnings.forEach(text => {
+            const warning = document.createElement('span');
+            warning.className = 'size-warning';
+            warning.textContent = text;
+            line.appendChild(warning);
+        });
+        
+        return line;
+    }
+    
+    // Turn a `files` key such as "webp2x-800" or "webp-640w" into a card
+    // title such as "WebP @2x (800px)" or "WebP (640w)"
+    function formatLabel(key) {
+        const match = key.match(/^([a-z]+)(2x)?(?:-(\d+)(w)?)?$/);
+        if (!match) {
+            return key;
+        }
+        
+        const [, format, retina, width, descriptor] = match;
+        let label = FORMAT_NAMES[format] || format.toUpperCase();
+        if (retina) {
+            label += ' @2x';
+        }
+        if (width) {
+            label += descriptor ? ` (${width}w)` : ` (${width}px)`;
+        }
+        return label;
+    }
+    
+    // Function to create a single format result item. With `onCompare`, it
+    // also gets a button to compare it with the original.
+    function createFormatItem(formatName, url, details, onCompare) {
         const item = document.createElement('div');
         item.className = 'result-item';
         
@@ -231,6 +988,11 @@ document.addEventListener('DOMContentLoaded', () => {
         title.appendChild(formatTitle);
         item.appendChild(title);
         
+        // File size, the settings a size budget settled on, and size warnings
+        if (details) {
+            item.appendChild(createDetailsLine(details));
+        }
+        
         // Image container
         const container = document.createElement('div');
         container.className = 'image-container';
@@ -273,12 +1035,194 @@ document.addEventListener('DOMContentLoaded', () => {
         
         item.appendChild(downloadBtn);
         
+        if (onCompare) {
+            const compareBtn = document.createElement('button');
+            compareBtn.type = 'button';
+            compareBtn.className = 'download-btn compare-btn';
+            compareBtn.textContent = 'Compare';
+            compareBtn.addEventListener('click', onCompare);
+            item.appendChild(compareBtn);
+        }
+        
         return item;
     }
     
+    // Function to open the comparison viewer on one output of an image, next to its original
+    function openComparison(imageData, key) {
+        comparison.image = imageData;
+        compareTitle.textContent = imageData.originalName;
+        
+        // One toggle per output of the image, to switch formats without losing the view
+        compareFormats.innerHTML = '';
+        Object.keys(imageData.files).forEach(fileKey => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'copy-btn compare-format-btn';
+            button.dataset.key = fileKey;
+            button.textContent = formatLabel(fileKey);
+            button.addEventListener('click', () => showComparisonVariant(fileKey, false));
+            compareFormats.appendChild(button);
+        });
+        
+        compareModal.hidden = false;
+        comparison.split = 50;
+        comparison.width = 0;
+        showComparisonVariant(key, true);
+    }
+    
+    // Function to show another output of the compared image. Unless `reset` is
+    // set, the same part of the image stays in view, also across 1x and @2x files.
+    function showComparisonVariant(key, reset) {
+        const imageData = comparison.image;
+        const details = imageData.variants[key];
+        
+        if (!reset && comparison.width) {
+            comparison.zoom *= comparison.width / details.width;
+        }
+        comparison.key = key;
+        comparison.width = details.width;
+        comparison.height = details.height;
+        
+        // The original is rendered at the width of the output (rounded up to the
+        // server's transform step) and shown at its size, so both share a pixel grid
+        compareAfter.src = imageData.files[key];
+        compareBefore.src = `${imageData.originalUrl}?w=${details.width}`;
+        [compareAfter, compareBefore].forEach(img => {
+            img.style.width = `${details.width}px`;
+            img.style.height = `${details.height}px`;
+        });
+        
+        const ssim = details.ssim !== null && details.ssim !== undefined ? ` · SSIM ${details.ssim.toFixed(3)}` : '';
+        compareAfterLabel.textContent = `${formatLabel(key)} · ${Math.round(details.bytes / 1024)} KB${ssim}`;
+        compareBeforeLabel.textContent = `Original · ${Math.round(imageData.originalBytes / 1024)} KB`;
+        compareFormats.querySelectorAll('.compare-format-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.key === key);
+        });
+        
+        if (reset) {
+            fitComparison();
+        } else {
+            applyComparison();
+        }
+    }
+    
+    // Function to zoom the comparison so the whole image fits, centred
+    function fitComparison() {
+        const stage = compareStage.getBoundingClientRect();
+        comparison.zoom = Math.min(stage.width / comparison.width, stage.height / comparison.height);
+        comparison.x = (stage.width - comparison.width * comparison.zoom) / 2;
+        comparison.y = (stage.height - comparison.height * comparison.zoom) / 2;
+        applyComparison();
+    }
+    
+    // Function to zoom the comparison, keeping the image point under (x, y) of the stage in place
+    function zoomComparison(zoom, x, y) {
+        const clamped = Math.min(Math.max(zoom, COMPARE_MIN_ZOOM / window.devicePixelRatio), COMPARE_MAX_ZOOM / window.devicePixelRatio);
+        comparison.x = x - (x - comparison.x) * clamped / comparison.zoom;
+        comparison.y = y - (y - comparison.y) * clamped / comparison.zoom;
+        comparison.zoom = clamped;
+        applyComparison();
+    }
+    
+    // Function to draw the comparison state: both images share one transform,
+    // and the original is clipped at the split
+    function applyComparison() {
+        const transform = `translate(${comparison.x}px, ${comparison.y}px) scale(${comparison.zoom})`;
+        compareAfter.style.transform = transform;
+        compareBefore.style.transform = transform;
+        compareBeforeLayer.style.clipPath = `inset(0 ${100 - comparison.split}% 0 0)`;
+        compareHandle.style.left = `${comparison.split}%`;
+        
+        // Zoom levels are given in device pixels, so 100% is one image pixel per screen pixel
+        const devicePixels = comparison.zoom * window.devicePixelRatio;
+        compareZoomLevel.textContent = `${Math.round(devicePixels * 100)}%`;
+        compareStage.classList.toggle('pixelated', devicePixels > 1);
+    }
+    
+    // Function to close the comparison viewer
+    function closeComparison() {
+        compareModal.hidden = true;
+        compareAfter.removeAttribute('src');
+        compareBefore.removeAttribute('src');
+        comparison.image = null;
+    }
+    
+    compareBefore.addEventListener('error', () => {
+        if (comparison.image) {
+            compareBeforeLabel.textContent = 'Original not available';
+        }
+    });
+    
+    // Dragging the handle moves the split; dragging anywhere else pans both images
+    compareStage.addEventListener('pointerdown', (event) => {
+        comparison.drag = {
+            mode: event.target === compareHandle ? 'split' : 'pan',
+            x: event.clientX,
+            y: event.clientY
+        };
+        compareStage.setPointerCapture(event.pointerId);
+        compareStage.classList.toggle('panning', comparison.drag.mode === 'pan');
+    });
+    
+    compareStage.addEventListener('pointermove', (event) => {
+        const drag = comparison.drag;
+        if (!drag) {
+            return;
+        }
+        
+        if (drag.mode === 'split') {
+            const stage = compareStage.getBoundingClientRect();
+            comparison.split = Math.min(Math.max((event.clientX - stage.left) / stage.width * 100, 0), 100);
+        } else {
+            comparison.x += event.clientX - drag.x;
+            comparison.y += event.clientY - drag.y;
+            drag.x = event.clientX;
+            drag.y = event.clientY;
+        }
+        applyComparison();
+    });
+    
+    ['pointerup', 'pointercancel'].forEach(type => {
+        compareStage.addEventListener(type, () => {
+            comparison.drag = null;
+            compareStage.classList.remove('panning');
+        });
+    });
+    
+    compareStage.addEventListener('wheel', (event) => {
+        event.preventDefault();
+        const stage = compareStage.getBoundingClientRect();
+        const factor = event.deltaY < 0 ? 1.25 : 0.8;
+        zoomComparison(comparison.zoom * factor, event.clientX - stage.left, event.clientY - stage.top);
+    }, { passive: false });
+    
+    // Fit, 1:1 and 2:1 zoom around the centre of the stage
+    document.querySelectorAll('[data-zoom]').forEach(button => {
+        button.addEventListener('click', () => {
+            if (button.dataset.zoom === 'fit') {
+                fitComparison();
+                return;
+            }
+            const stage = compareStage.getBoundingClientRect();
+            zoomComparison(Number(button.dataset.zoom) / window.devicePixelRatio, stage.width / 2, stage.height / 2);
+        });
+    });
+    
+    compareCloseBtn.addEventListener('click', closeComparison);
+    compareModal.addEventListener('click', (event) => {
+        if (event.target === compareModal) {
+            closeComparison();
+        }
+    });
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && !compareModal.hidden) {
+            closeComparison();
+        }
+    });
+    
     // Handle Download All button click (ZIP download)
     downloadAllBtn.addEventListener('click', async () => {
-        if (!processedImages.length) {
+        if (!processedImages.length && !processedSprite && !processedIconSet) {
             alert('No processed images available');
             return;
         }
@@ -294,7 +1238,16 @@ document.addEventListener('DOMContentLoaded', () => {
                 Object.values(imageData.files).forEach(url => {
                     allImageUrls.push(url);
                 });
+                Object.values(imageData.crops || {}).forEach(crop => {
+                    allImageUrls.push(...Object.values(crop.files));
+                });
             });
+            if (processedSprite) {
+                allImageUrls.push(...Object.values(processedSprite.files));
+            }
+            if (processedIconSet) {
+                allImageUrls.push(...Object.values(processedIconSet.files));
+            }
             
             // Request the ZIP file
             const response = await fetch('/download-all', {
@@ -302,11 +1255,12 @@ document.addEventListener('DOMContentLoaded', () => {
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({ files: allImageUrls }),
+                body: JSON.stringify({ jobId: processedJobId, files: allImageUrls }),
             });
             
             if (!response.ok) {
-                throw new Error('Failed to create ZIP archive');
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || 'Failed to create ZIP archive');
             }
             
             // Create a blob from the response
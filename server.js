@@ -3,7 +3,23 @@ const multer = require('multer');
 const sharp = require('sharp');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const { EventEmitter } = require('events');
 const archiver = require('archiver');
+const yauzl = require('yauzl');
+const { httpError, parseByteSize, contentHash, generateRandomHash, escapeHtml } = require('./lib/utils');
+const { OUTPUT_FORMATS, formatForFile } = require('./lib/formats');
+const { prepareWatermark, watermarkOverlay } = require('./lib/watermark');
+const { parseProcessingOptions } = require('./lib/options');
+const { SNIPPET_FILES, altTextFromName, snippetUrl, writeSnippetFiles } = require('./lib/snippets');
+const { MANIFEST_FILE, writeManifest } = require('./lib/manifest');
+const { REPORT_FILE, summarizeBatch, writeReport } = require('./lib/quality');
+const { ORIGINALS_DIR, outputIndex, processImage, planBatch } = require('./lib/process');
+const { isPrivateAddress, isOutputPath, classifyArchiveEntry, signWebhook } = require('./lib/security');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -14,13 +30,44 @@ if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// Every upload batch (job) writes its output to its own directory under jobsDir
+const jobsDir = path.join(uploadDir, 'jobs');
+if (!fs.existsSync(jobsDir)) {
+  fs.mkdirSync(jobsDir, { recursive: true });
+}
+
+// Jobs removed by the janitor leave an empty marker file here, so their URLs
+// answer 410 Gone instead of 404
+const expiredDir = path.join(uploadDir, 'expired');
+if (!fs.existsSync(expiredDir)) {
+  fs.mkdirSync(expiredDir, { recursive: true });
+}
+
 // Serve static files from public directory
 app.use(express.static('public'));
 
+// Most images a single upload (or URL import) may hold, and the largest image
+const MAX_UPLOAD_FILES = 10;
+const MAX_UPLOAD_BYTES = 20 * 1024 * 1024;
+
+// Limits for /upload-archive: the largest ZIP, the most entries (files and
+// folders) it may list, and the most bytes its images may add up to once
+// extracted. Each image is also held to MAX_UPLOAD_BYTES.
+const ARCHIVE_MAX_BYTES = parseByteSize(process.env.ARCHIVE_MAX_BYTES || '200MB');
+const ARCHIVE_MAX_ENTRIES = Number(process.env.ARCHIVE_MAX_ENTRIES) || 500;
+const ARCHIVE_MAX_EXTRACTED = parseByteSize(process.env.ARCHIVE_MAX_EXTRACTED || '1GB');
+if (!ARCHIVE_MAX_BYTES || !ARCHIVE_MAX_EXTRACTED) {
+  throw new Error('ARCHIVE_MAX_BYTES and ARCHIVE_MAX_EXTRACTED must be sizes such as 200MB or 1GB');
+}
+
+// Images of a batch processed at the same time, so an archive with hundreds
+// of images doesn't hold all of them in memory at once
+const BATCH_CONCURRENCY = 4;
+
 // Configure multer for handling file uploads
 const upload = multer({ 
   dest: uploadDir,
-  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB limit
+  limits: { fileSize: MAX_UPLOAD_BYTES }, // 20MB limit
   fileFilter: (req, file, cb) => {
     if (file.mimetype.startsWith('image/')) {
       cb(null, true);
@@ -30,235 +77,2024 @@ const upload = multer({
   }
 });
 
+// ZIP uploads get their own, larger limit; the images inside are checked as
+// they are extracted
+const archiveUpload = multer({
+  dest: uploadDir,
+  limits: { fileSize: ARCHIVE_MAX_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (file.fieldname === 'watermark' && file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else if (file.fieldname === 'archive' && (/\.zip$/i.test(file.originalname) || /zip/.test(file.mimetype))) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only a ZIP archive (and a watermark image) are allowed'));
+    }
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
   res.status(500).json({ error: err.message || 'Something went wrong' });
 });
 
-// Helper function to generate a random 5-character hash
-function generateRandomHash() {
-  const characters = 'abcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < 5; i++) {
-    result += characters.charAt(Math.floor(Math.random() * characters.length));
+// Files a job with a watermark keeps it in, so on-the-fly transformations get it too
+const WATERMARK_FILES = { image: '.watermark.png', settings: '.watermark.json' };
+
+// Sprite mode writes its sheets as sprite[@2x].png/.webp next to these
+// files, which are also added to every ZIP download
+const SPRITE_NAME = 'sprite';
+const SPRITE_FILES = {
+  css: 'sprite.css',
+  scss: 'sprite.scss',
+  html: 'sprite.html'
+};
+
+// Largest sprite sheet side (the @2x sheet); WebP can't go beyond 16383px
+const MAX_SPRITE_PX = 16383;
+
+// Icon set mode writes these files next to its PNG icons; they are also
+// added to every ZIP download
+const ICON_SET_FILES = {
+  ico: 'favicon.ico',
+  manifest: 'site.webmanifest',
+  html: 'icons.html'
+};
+
+// The PNG icons of an icon set. Opaque icons are filled with the background
+// color, manifest icons are listed in site.webmanifest
+const ICON_SET_ICONS = [
+  { key: 'favicon16', filename: 'favicon-16x16.png', size: 16, favicon: true },
+  { key: 'favicon32', filename: 'favicon-32x32.png', size: 32, favicon: true },
+  { key: 'favicon48', filename: 'favicon-48x48.png', size: 48, favicon: true },
+  { key: 'appleTouch', filename: 'apple-touch-icon.png', size: 180, opaque: true },
+  { key: 'android192', filename: 'android-chrome-192x192.png', size: 192, manifest: true },
+  { key: 'android512', filename: 'android-chrome-512x512.png', size: 512, manifest: true },
+  { key: 'maskable192', filename: 'maskable-192x192.png', size: 192, manifest: true, maskable: true, opaque: true },
+  { key: 'maskable512', filename: 'maskable-512x512.png', size: 512, manifest: true, maskable: true, opaque: true }
+];
+
+// Sizes embedded in favicon.ico
+const FAVICON_ICO_SIZES = [16, 32, 48];
+
+// Share of a maskable icon the logo may cover; launchers crop the rest to
+// their own shape
+const MASKABLE_SAFE_ZONE = 0.8;
+
+// Directory inside a job's directory holding the transformations generated so far
+const TRANSFORM_CACHE_DIR = 'cache';
+
+// Folders of a job directory that hold its internals rather than outputs, so
+// archive uploads can't use them
+const RESERVED_DIRS = [ORIGINALS_DIR, TRANSFORM_CACHE_DIR];
+
+// Allowed ranges for on-the-fly transformations (/images/:jobId/:filename?w=...),
+// so the endpoint can't be used to generate arbitrary amounts of work.
+// Widths and heights must be multiples of `step`, which bounds the number of
+// variants that can end up in the cache.
+const TRANSFORM_LIMITS = {
+  maxWidth: Number(process.env.TRANSFORM_MAX_WIDTH) || 2560,
+  maxHeight: Number(process.env.TRANSFORM_MAX_HEIGHT) || 2560,
+  step: Number(process.env.TRANSFORM_STEP) || 50,
+  minQuality: Number(process.env.TRANSFORM_MIN_QUALITY) || 20,
+  maxQuality: Number(process.env.TRANSFORM_MAX_QUALITY) || 95,
+  formats: (process.env.TRANSFORM_FORMATS || 'png,webp,avif,jpeg')
+    .split(',')
+    .map(format => format.trim())
+    .filter(format => OUTPUT_FORMATS[format] && !OUTPUT_FORMATS[format].animatedOnly),
+  maxAge: Number(process.env.TRANSFORM_MAX_AGE) || 86400
+};
+const TRANSFORM_FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+
+// Transformations being generated right now, by cache path, so concurrent
+// requests for the same variant share the work
+const pendingTransforms = new Map();
+
+// Retention of processed output: a job expires JOB_TTL seconds after it was
+// created (uploads may ask for another TTL up to JOB_MAX_TTL), and while the
+// output of all jobs takes more than STORAGE_QUOTA, the least recently used
+// jobs are evicted. The janitor runs every JANITOR_INTERVAL seconds and also
+// removes multer temp files no job is using once they are TEMP_FILE_MAX_AGE
+// seconds old.
+const JOB_TTL = Number(process.env.JOB_TTL) || 24 * 60 * 60;
+const JOB_MAX_TTL = Math.max(JOB_TTL, Number(process.env.JOB_MAX_TTL) || 7 * 24 * 60 * 60);
+const STORAGE_QUOTA = parseByteSize(process.env.STORAGE_QUOTA || '1GB');
+if (!STORAGE_QUOTA) {
+  throw new Error('STORAGE_QUOTA must be a size such as 500MB or 2GB');
+}
+const JANITOR_INTERVAL = Number(process.env.JANITOR_INTERVAL) || 5 * 60;
+const TEMP_FILE_MAX_AGE = Number(process.env.TEMP_FILE_MAX_AGE) || 60 * 60;
+
+// How long expired job IDs are remembered (seconds)
+const EXPIRED_MEMORY = 30 * 24 * 60 * 60;
+
+// Per-job metadata file, kept next to the output so retention survives restarts
+const JOB_META_FILE = '.job.json';
+
+// Outcome of the janitor's last run, reported by /api/storage
+let lastSweep = null;
+
+// Number of queued (async) jobs processed at the same time
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 1;
+
+// All jobs by ID, and the async jobs still waiting for a free slot
+const jobs = new Map();
+const jobQueue = [];
+let runningJobs = 0;
+
+// Optional API keys for everything but the web UI and /api/health: a
+// comma-separated API_KEYS list and/or API_KEYS_FILE, a JSON list of
+// { "name", "key", "rateLimit", "dailyQuota" }. Without any key the API is open.
+// Each key may send API_RATE_LIMIT requests a minute to /upload and
+// /download-all (transformations and original renders that aren't cached yet
+// count too), and upload API_DAILY_QUOTA bytes a day (UTC), unless its entry
+// in the keys file says otherwise.
+const API_KEYS_FILE = process.env.API_KEYS_FILE || null;
+const API_RATE_LIMIT = Number(process.env.API_RATE_LIMIT) || 60;
+const API_DAILY_QUOTA = parseByteSize(process.env.API_DAILY_QUOTA || '500MB');
+if (!API_DAILY_QUOTA) {
+  throw new Error('API_DAILY_QUOTA must be a size such as 500MB or 2GB');
+}
+const RATE_LIMIT_WINDOW = 60 * 1000;
+const MIN_API_KEY_LENGTH = 16;
+
+// Cookie the web UI keeps its key in, so image URLs and the progress stream
+// (which can't send headers) carry it too
+const API_KEY_COOKIE = 'apiKey';
+
+const apiKeys = loadApiKeys();
+
+// Limits for /upload-from-url: seconds to download each image (redirects
+// included) and how many redirects are followed. Private addresses (see
+// isPrivateAddress) are refused, directly or after a redirect, unless
+// URL_FETCH_ALLOW_PRIVATE is set or the host is one of the comma-separated
+// URL_FETCH_ALLOWED_HOSTS. The same goes for the `callbackUrl` of uploads.
+const URL_FETCH_TIMEOUT = Number(process.env.URL_FETCH_TIMEOUT) || 15;
+const URL_FETCH_MAX_REDIRECTS = 5;
+const URL_FETCH_ALLOW_PRIVATE = process.env.URL_FETCH_ALLOW_PRIVATE === 'true';
+const URL_FETCH_ALLOWED_HOSTS = (process.env.URL_FETCH_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Image types /upload-from-url accepts, recognized by their first bytes
+const SNIFFED_TYPES = [
+  { mimetype: 'image/jpeg', extensions: ['jpg', 'jpeg'], test: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  { mimetype: 'image/png', extensions: ['png'], test: bytes => bytes.toString('latin1', 0, 8) === '\x89PNG\r\n\x1a\n' },
+  { mimetype: 'image/gif', extensions: ['gif'], test: bytes => /^GIF8[79]a$/.test(bytes.toString('latin1', 0, 6)) },
+  { mimetype: 'image/webp', extensions: ['webp'], test: bytes => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP' },
+  { mimetype: 'image/avif', extensions: ['avif'], test: bytes => bytes.toString('latin1', 4, 8) === 'ftyp' && /^avi[fs]$/.test(bytes.toString('latin1', 8, 12)) },
+  { mimetype: 'image/heif', extensions: ['heic', 'heif'], test: bytes => bytes.toString('latin1', 4, 8) === 'ftyp' && /^(heic|heix|mif1|msf1)$/.test(bytes.toString('latin1', 8, 12)) },
+  { mimetype: 'image/tiff', extensions: ['tif', 'tiff'], test: bytes => ['II*\x00', 'MM\x00*'].includes(bytes.toString('latin1', 0, 4)) },
+  { mimetype: 'image/svg+xml', extensions: ['svg'], test: bytes => /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(bytes.toString('utf8', 0, 1024).replace(/^\uFEFF/, '')) }
+];
+
+// Completion webhooks: when a job finishes or fails, its callback URL (the
+// upload's `callbackUrl` field, or WEBHOOK_URL) gets a JSON POST signed with
+// WEBHOOK_SECRET. Failed deliveries are retried up to WEBHOOK_RETRIES times,
+// WEBHOOK_RETRY_DELAY seconds later at first and twice as long each time.
+const WEBHOOK_URL = process.env.WEBHOOK_URL || null;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+const WEBHOOK_RETRIES = process.env.WEBHOOK_RETRIES === undefined ? 5 : Number(process.env.WEBHOOK_RETRIES);
+const WEBHOOK_RETRY_DELAY = Number(process.env.WEBHOOK_RETRY_DELAY) || 5;
+const WEBHOOK_TIMEOUT = 10 * 1000;
+if (!Number.isInteger(WEBHOOK_RETRIES) || WEBHOOK_RETRIES < 0) {
+  throw new Error('WEBHOOK_RETRIES must be a whole number');
+}
+if (WEBHOOK_URL) {
+  if (!WEBHOOK_SECRET) {
+    throw new Error('WEBHOOK_URL needs a WEBHOOK_SECRET to sign the deliveries');
   }
-  return result;
+  parseCallbackUrl(WEBHOOK_URL);
 }
 
-// Helper function to check if output files for a base name already exist
-function outputFilesExist(baseName) {
-  const pngPath = path.join(uploadDir, `${baseName}.png`);
-  const webpPath = path.join(uploadDir, `${baseName}.webp`);
-  const png2xPath = path.join(uploadDir, `${baseName}@2x.png`);
-  const webp2xPath = path.join(uploadDir, `${baseName}@2x.webp`);
+// Helper function to create a new job with its own output directory.
+// Progress is published on `job.events` as ('update', eventName, data).
+function createJob(files, options) {
+  const id = crypto.randomBytes(6).toString('hex');
+  const dir = path.join(jobsDir, id);
+  fs.mkdirSync(dir);
+  
+  const now = Date.now();
+  const createdAt = new Date(now).toISOString();
+  const expiresAt = new Date(now + (options.ttl || JOB_TTL) * 1000).toISOString();
+  fs.writeFileSync(path.join(dir, JOB_META_FILE), JSON.stringify({ id, createdAt, expiresAt, autoOrient: options.autoOrient }));
   
-  return fs.existsSync(pngPath) || fs.existsSync(webpPath) || 
-         fs.existsSync(png2xPath) || fs.existsSync(webp2xPath);
+  const job = {
+    id,
+    dir,
+    urlPrefix: `/images/${id}/`,
+    keepOriginals: true,
+    status: 'queued',
+    createdAt,
+    expiresAt,
+    uploads: files.map(file => file.path),
+    images: files.map(file => ({
+      originalName: file.originalname,
+      status: 'queued',
+      completed: 0,
+      total: 0
+    })),
+    result: null,
+    error: null,
+    webhook: null,
+    events: new EventEmitter()
+  };
+  jobs.set(id, job);
+  return job;
+}
+
+// Helper function to publish a progress event to everyone following a job
+function emitJobEvent(job, event, data) {
+  job.events.emit('update', event, data);
+}
+
+// Helper function to compute a job's overall progress (0 to 1) from its per-image variant counts
+function jobProgress(job) {
+  const sum = job.images.reduce((acc, image) => acc + (image.total ? image.completed / image.total : 0), 0);
+  return job.images.length ? sum / job.images.length : 0;
+}
+
+// Helper function to describe a job's state for the status endpoint and event stream
+function jobSnapshot(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    expiresAt: job.expiresAt,
+    progress: jobProgress(job),
+    images: job.images,
+    result: job.result,
+    error: job.error,
+    webhook: job.webhook
+  };
+}
+
+// Helper function to queue an async job, starting it as soon as a slot is free
+function enqueueJob(task) {
+  jobQueue.push(task);
+  drainJobQueue();
+}
+
+// Helper function to start queued jobs while fewer than JOB_CONCURRENCY are running
+function drainJobQueue() {
+  while (runningJobs < JOB_CONCURRENCY && jobQueue.length > 0) {
+    const task = jobQueue.shift();
+    runningJobs++;
+    task()
+      .catch(error => console.error('Queued job failed:', error.message))
+      .finally(() => {
+        runningJobs--;
+        drainJobQueue();
+      });
+  }
+}
+
+// Helper function to resolve a job's output directory. Returns null for malformed job IDs.
+function jobDirPath(jobId) {
+  return /^[a-f0-9]{12}$/.test(jobId) ? path.join(jobsDir, jobId) : null;
+}
+
+// Helper function to resolve a file inside a job's output directory.
+// Returns null for malformed job IDs or names that would escape the directory.
+function jobFilePath(jobId, filename) {
+  const dir = jobDirPath(jobId);
+  if (!dir || !filename || !isOutputPath(filename, RESERVED_DIRS)) {
+    return null;
+  }
+  return path.join(dir, filename);
+}
+
+// Helper function to list the images in a job directory, in the folders of
+// archive uploads too, as paths relative to it (e.g. "blog/2024/hero.webp")
+function listJobOutputs(dir, folder = '') {
+  return fs.readdirSync(path.join(dir, folder), { withFileTypes: true }).flatMap(entry => {
+    const name = folder ? `${folder}/${entry.name}` : entry.name;
+    if (!isOutputPath(name, RESERVED_DIRS)) {
+      return [];
+    }
+    if (entry.isDirectory()) {
+      return folder || !RESERVED_DIRS.includes(entry.name) ? listJobOutputs(dir, name) : [];
+    }
+    return formatForFile(entry.name) ? [name] : [];
+  });
+}
+
+// Helper function to turn a file URL of a job ("/images/<jobId>/blog/hero.png",
+// with or without the host) or a plain file name into its path inside the job
+function jobFileName(fileUrl) {
+  const match = String(fileUrl).match(/\/images\/[^/]+\/(.+)$/);
+  return match ? match[1] : String(fileUrl);
+}
+
+// Helper function to tell whether a job was removed by the janitor
+function jobExpired(jobId) {
+  return /^[a-f0-9]{12}$/.test(jobId) && fs.existsSync(path.join(expiredDir, jobId));
+}
+
+// Helper function to mark a job as just used, which keeps it from being
+// evicted before less recently used ones
+function touchJob(jobId) {
+  const dir = jobDirPath(jobId);
+  try {
+    const now = new Date();
+    fs.utimesSync(dir, now, now);
+  } catch (err) {
+    // The job is gone; the caller reports that
+  }
+}
+
+// Helper function to add up the size of all files in a directory tree
+function directorySize(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).reduce((total, entry) => {
+    const entryPath = path.join(dir, entry.name);
+    return total + (entry.isDirectory() ? directorySize(entryPath) : fs.statSync(entryPath).size);
+  }, 0);
 }
 
-// Helper function to process a single image
-async function processImage(filePath, originalName, useHash) {
-  // Extract the base name without extension
-  const fileInfo = path.parse(originalName);
-  const baseName = fileInfo.name;
-  let baseOutputName;
+// Helper function to list the job directories on disk with their size, expiry
+// and last use. Jobs without a metadata file expire JOB_TTL after their
+// directory was last changed.
+function listStoredJobs() {
+  return fs.readdirSync(jobsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => {
+      const dir = path.join(jobsDir, entry.name);
+      const stats = fs.statSync(dir);
+      let expiresAt;
+      try {
+        expiresAt = Date.parse(JSON.parse(fs.readFileSync(path.join(dir, JOB_META_FILE), 'utf8')).expiresAt);
+      } catch (err) {
+        expiresAt = NaN;
+      }
+      return {
+        id: entry.name,
+        dir,
+        bytes: directorySize(dir),
+        lastUsed: stats.mtimeMs,
+        expiresAt: Number.isNaN(expiresAt) ? stats.mtimeMs + JOB_TTL * 1000 : expiresAt
+      };
+    });
+}
+
+// Helper function to list multer temp files, which sit directly in uploadDir
+function listTempFiles() {
+  return fs.readdirSync(uploadDir, { withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .map(entry => {
+      const filePath = path.join(uploadDir, entry.name);
+      const stats = fs.statSync(filePath);
+      return { path: filePath, bytes: stats.size, modified: stats.mtimeMs };
+    });
+}
+
+// Helper function to remove a job's output and remember that it expired
+function expireJob(jobId, reason) {
+  fs.rmSync(path.join(jobsDir, jobId), { recursive: true, force: true });
+  fs.writeFileSync(path.join(expiredDir, jobId), reason);
+  jobs.delete(jobId);
+  for (const [key, entry] of outputIndex) {
+    if (entry.jobId === jobId) {
+      outputIndex.delete(key);
+    }
+  }
+  console.log(`Removed job ${jobId} (${reason})`);
+}
+
+// Helper function to apply the retention policy: remove orphaned temp files,
+// expired jobs, and the least recently used jobs while over STORAGE_QUOTA.
+// Jobs that are still queued or processing are never touched.
+function sweepStorage() {
+  const now = Date.now();
+  const sweep = { at: new Date(now).toISOString(), tempFilesRemoved: 0, expired: 0, evicted: 0 };
   
-  if (useHash) {
-    const randomHash = generateRandomHash();
-    baseOutputName = `${baseName}-${randomHash}`;
-    console.log(`Processing ${originalName} -> ${baseOutputName} (with hash)`);
-  } else {
-    baseOutputName = baseName;
-    console.log(`Processing ${originalName} -> ${baseOutputName} (original name)`);
+  const busy = [...jobs.values()].filter(job => job.status === 'queued' || job.status === 'processing');
+  const busyIds = new Set(busy.map(job => job.id));
+  const busyUploads = new Set(busy.flatMap(job => job.uploads));
+  
+  // Temp files of uploads that never made it into a job (or whose server went away)
+  const tempFiles = listTempFiles().filter(file => {
+    if (busyUploads.has(file.path) || now - file.modified < TEMP_FILE_MAX_AGE * 1000) {
+      return true;
+    }
+    fs.rmSync(file.path, { force: true });
+    sweep.tempFilesRemoved++;
+    return false;
+  });
+  
+  const stored = listStoredJobs().filter(entry => {
+    if (busyIds.has(entry.id) || entry.expiresAt > now) {
+      return true;
+    }
+    expireJob(entry.id, 'expired');
+    sweep.expired++;
+    return false;
+  });
+  
+  // Evict the least recently used jobs until everything fits the quota
+  let usedBytes = tempFiles.reduce((total, file) => total + file.bytes, 0) +
+    stored.reduce((total, entry) => total + entry.bytes, 0);
+  const evictable = stored.filter(entry => !busyIds.has(entry.id)).sort((a, b) => a.lastUsed - b.lastUsed);
+  for (const entry of evictable) {
+    if (usedBytes <= STORAGE_QUOTA) {
+      break;
+    }
+    expireJob(entry.id, 'evicted');
+    usedBytes -= entry.bytes;
+    sweep.evicted++;
+  }
+  
+  // Forget jobs that expired long ago
+  for (const name of fs.readdirSync(expiredDir)) {
+    const markerPath = path.join(expiredDir, name);
+    if (now - fs.statSync(markerPath).mtimeMs > EXPIRED_MEMORY * 1000) {
+      fs.rmSync(markerPath, { force: true });
+    }
   }
   
-  // Output file paths
-  const pngPath = path.join(uploadDir, `${baseOutputName}.png`);
-  const webpPath = path.join(uploadDir, `${baseOutputName}.webp`);
-  const png2xPath = path.join(uploadDir, `${baseOutputName}@2x.png`);
-  const webp2xPath = path.join(uploadDir, `${baseOutputName}@2x.webp`);
+  sweep.usedBytes = usedBytes;
+  lastSweep = sweep;
+  return sweep;
+}
+
+// Helper function to delete the multer temp files of an upload
+function removeUploads(files) {
+  files.forEach(file => {
+    try {
+      fs.rmSync(file.path, { force: true });
+    } catch (err) {
+      console.error(`Error deleting file ${file.path}:`, err);
+    }
+  });
+}
 
-  // Get metadata for the original image
-  const metadata = await sharp(filePath).metadata();
+// Helper function to load the API keys from API_KEYS and API_KEYS_FILE.
+// Returns a Map of key hash -> client ({ name, rateLimit, dailyQuota, usage });
+// a broken keys file stops the server.
+function loadApiKeys() {
+  const entries = (process.env.API_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean)
+    .map(key => ({ key }));
   
-  // Calculate dimensions for regular and 2x versions
-  // For regular version, optionally reduce dimensions to optimize
-  const regularWidth = Math.min(metadata.width, 1200); // Limit width to 1200px
-  const regularHeight = Math.round(regularWidth * (metadata.height / metadata.width));
+  if (API_KEYS_FILE) {
+    let list;
+    try {
+      list = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read API_KEYS_FILE: ${error.message}`);
+    }
+    if (!Array.isArray(list)) {
+      throw new Error('API_KEYS_FILE must hold a JSON list of keys');
+    }
+    entries.push(...list);
+  }
   
-  // For 2x version, double the regular size but still with reasonable limits
-  const doubleWidth = regularWidth * 2;
-  const doubleHeight = regularHeight * 2;
+  const keys = new Map();
+  entries.forEach((entry, index) => {
+    const label = `API key ${index + 1}`;
+    if (!entry || typeof entry.key !== 'string' || entry.key.length < MIN_API_KEY_LENGTH) {
+      throw new Error(`${label} must be a string of at least ${MIN_API_KEY_LENGTH} characters`);
+    }
+    const rateLimit = entry.rateLimit === undefined ? API_RATE_LIMIT : entry.rateLimit;
+    if (!Number.isInteger(rateLimit) || rateLimit < 1) {
+      throw new Error(`${label}: rateLimit must be a whole number of requests per minute`);
+    }
+    const dailyQuota = entry.dailyQuota === undefined ? API_DAILY_QUOTA : parseByteSize(entry.dailyQuota);
+    if (!dailyQuota) {
+      throw new Error(`${label}: dailyQuota must be a size such as 500MB or 2GB`);
+    }
+    keys.set(contentHash(entry.key), {
+      name: typeof entry.name === 'string' && entry.name ? entry.name : `key-${index + 1}`,
+      rateLimit,
+      dailyQuota,
+      usage: { windowStart: 0, requests: 0, day: null, bytes: 0 }
+    });
+  });
+  return keys;
+}
+
+// Helper function to read the API key of a request: the X-API-Key header, a
+// bearer token or the web UI's cookie. Returns null without one.
+function requestApiKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) {
+    return header;
+  }
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (bearer) {
+    return bearer[1];
+  }
+  const cookie = (req.get('Cookie') || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${API_KEY_COOKIE}=`));
+  try {
+    return cookie ? decodeURIComponent(cookie.slice(API_KEY_COOKIE.length + 1)) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Helper function to compute the seconds until the next UTC day, when daily quotas reset
+function secondsUntilTomorrow() {
+  const tomorrow = new Date();
+  tomorrow.setUTCHours(24, 0, 0, 0);
+  return Math.max(1, Math.ceil((tomorrow - Date.now()) / 1000));
+}
+
+// Middleware that lets requests through only with a valid API key (when any
+// are configured), remembering the client as `req.apiClient`
+function requireApiKey(req, res, next) {
+  if (apiKeys.size === 0) {
+    return next();
+  }
+  const key = requestApiKey(req);
+  const client = key ? apiKeys.get(contentHash(key)) : null;
+  if (!client) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: key ? 'Invalid API key' : 'API key required' });
+  }
+  req.apiClient = client;
+  next();
+}
+
+// Helper function to count a request against the client's per-minute rate
+// limit. Answers 429 with Retry-After and returns false once the client has
+// used up the current window.
+function takeRateLimit(req, res) {
+  if (!req.apiClient) {
+    return true;
+  }
+  const { rateLimit, usage } = req.apiClient;
+  const now = Date.now();
+  if (now - usage.windowStart >= RATE_LIMIT_WINDOW) {
+    usage.windowStart = now;
+    usage.requests = 0;
+  }
   
-  console.log(`Image dimensions: 
-    Original: ${metadata.width}×${metadata.height} 
-    Regular: ${regularWidth}×${regularHeight}
-    Double: ${doubleWidth}×${doubleHeight}`);
+  res.setHeader('X-RateLimit-Limit', rateLimit);
+  if (usage.requests >= rateLimit) {
+    res.setHeader('X-RateLimit-Remaining', 0);
+    res.setHeader('Retry-After', Math.max(1, Math.ceil((usage.windowStart + RATE_LIMIT_WINDOW - now) / 1000)));
+    console.warn(`Rate limit reached for ${req.apiClient.name}`);
+    res.status(429).json({ error: `Rate limit of ${rateLimit} requests per minute reached` });
+    return false;
+  }
+  usage.requests++;
+  res.setHeader('X-RateLimit-Remaining', rateLimit - usage.requests);
+  return true;
+}
+
+// Middleware that applies the client's per-minute rate limit
+function limitRequests(req, res, next) {
+  if (takeRateLimit(req, res)) {
+    next();
+  }
+}
+
+// Helper function to count an upload against the client's daily quota.
+// Throws a 429 error (with the `retryAfter` seconds) when it doesn't fit.
+function chargeDailyQuota(client, bytes) {
+  if (!client) {
+    return;
+  }
+  const today = new Date().toISOString().slice(0, 10);
+  if (client.usage.day !== today) {
+    client.usage.day = today;
+    client.usage.bytes = 0;
+  }
+  if (client.usage.bytes + bytes > client.dailyQuota) {
+    console.warn(`Daily quota reached for ${client.name}`);
+    const error = httpError(429, `Daily upload quota reached: ${client.usage.bytes} of ${client.dailyQuota} bytes used today, this upload has ${bytes}`);
+    error.retryAfter = secondsUntilTomorrow();
+    throw error;
+  }
+  client.usage.bytes += bytes;
+}
+
+// Helper function to validate a webhook callback URL. Returns its normalized form.
+function parseCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw httpError(400, 'callbackUrl must be an absolute http(s) URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw httpError(400, 'callbackUrl must be an absolute http(s) URL');
+  }
+  return url.href;
+}
+
+// Helper function to validate the `callbackUrl` of an upload. Unlike
+// WEBHOOK_URL it comes from the client, so it may not point at a private
+// address, with the same exceptions as /upload-from-url. Delivery checks the
+// address again, see webhookLookup.
+async function parseClientCallbackUrl(value) {
+  const href = parseCallbackUrl(value);
+  const hostname = new URL(href).hostname.replace(/^\[|\]$/g, '');
+  if (privateHostAllowed(hostname)) {
+    return href;
+  }
   
-  // Create all formats one by one
+  let addresses;
   try {
-    // Regular PNG with compression
-    await sharp(filePath)
-      .resize(regularWidth, regularHeight)
-      .png({ compressionLevel: 9, adaptiveFiltering: true, quality: 90 })
-      .toFile(pngPath);
-    
-    // WebP version with better compression
-    await sharp(filePath)
-      .resize(regularWidth, regularHeight)
-      .webp({ quality: 90, lossless: false })
-      .toFile(webpPath);
-    
-    // PNG @2x version with compression
-    await sharp(filePath)
-      .resize(doubleWidth, doubleHeight)
-      .png({ compressionLevel: 9, adaptiveFiltering: true, quality: 90 })
-      .toFile(png2xPath);
-    
-    // WebP @2x version with better compression
-    await sharp(filePath)
-      .resize(doubleWidth, doubleHeight)
-      .webp({ quality: 90, lossless: false })
-      .toFile(webp2xPath);
-
-    // Verify all files exist and have content
-    const fileStatus = {
-      png: fs.existsSync(pngPath) && fs.statSync(pngPath).size > 0,
-      webp: fs.existsSync(webpPath) && fs.statSync(webpPath).size > 0,
-      png2x: fs.existsSync(png2xPath) && fs.statSync(png2xPath).size > 0,
-      webp2x: fs.existsSync(webp2xPath) && fs.statSync(webp2xPath).size > 0
-    };
-    
-    // Show file sizes
-    if (fileStatus.png) {
-      console.log(`File sizes:
-        Original: ${Math.round(fs.statSync(filePath).size / 1024)}KB
-        PNG: ${Math.round(fs.statSync(pngPath).size / 1024)}KB
-        WebP: ${Math.round(fs.statSync(webpPath).size / 1024)}KB
-        PNG@2x: ${Math.round(fs.statSync(png2xPath).size / 1024)}KB
-        WebP@2x: ${Math.round(fs.statSync(webp2xPath).size / 1024)}KB`);
+    addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw httpError(400, `callbackUrl host ${hostname} could not be resolved`);
+  }
+  const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+  if (blocked) {
+    throw httpError(400, `callbackUrl may not point at private address ${blocked.address}`);
+  }
+  return href;
+}
+
+// Helper function to pick the DNS lookup for a webhook delivery: client
+// callback URLs are resolved through privateRangeLookup, so a name can't be
+// pointed at the internal network after it was validated
+function webhookLookup(url) {
+  return url === WEBHOOK_URL || privateHostAllowed(new URL(url).hostname) ? undefined : privateRangeLookup;
+}
+
+// Helper function to POST a JSON body without following redirects. Resolves
+// with the response status; rejects on network errors and after WEBHOOK_TIMEOUT.
+function postJson(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const client = new URL(url).protocol === 'https:' ? https : http;
+    const request = client.request(url, {
+      method: 'POST',
+      lookup: webhookLookup(url),
+      headers: { ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      timeout: WEBHOOK_TIMEOUT
+    }, response => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+    });
+    request.on('timeout', () => request.destroy(new Error(`No response within ${WEBHOOK_TIMEOUT / 1000}s`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Helper function to deliver the completion webhook of a job, if it has one.
+// Any non-2xx answer counts as a failure and is retried with exponential
+// backoff; the outcome is kept in `job.webhook` for the status endpoint.
+async function deliverWebhook(job, event, data) {
+  const webhook = job.webhook;
+  if (!webhook) {
+    return;
+  }
+  
+  // The body is the same on every attempt, so receivers can de-duplicate by deliveryId
+  const body = JSON.stringify({ event, jobId: job.id, deliveryId: webhook.deliveryId, occurredAt: new Date().toISOString(), data });
+  const signature = signWebhook(body, WEBHOOK_SECRET);
+  webhook.event = event;
+  webhook.status = 'pending';
+  
+  for (let attempt = 1; attempt <= WEBHOOK_RETRIES + 1; attempt++) {
+    webhook.attempts = attempt;
+    try {
+      const status = await postJson(webhook.url, body, {
+        'User-Agent': 'image-processor-webhooks',
+        'X-Webhook-Event': event,
+        'X-Webhook-Delivery': webhook.deliveryId,
+        'X-Webhook-Attempt': String(attempt),
+        'X-Webhook-Signature': signature
+      });
+      if (status >= 200 && status < 300) {
+        webhook.status = 'delivered';
+        webhook.lastError = null;
+        console.log(`Webhook ${event} of job ${job.id} delivered to ${webhook.url} (attempt ${attempt})`);
+        return;
+      }
+      webhook.lastError = `HTTP ${status}`;
+    } catch (error) {
+      webhook.lastError = error.message;
     }
     
-    // Return only paths to files that were successfully created
-    const result = {
-      originalName,
-      files: {}
-    };
-    
-    if (fileStatus.png) result.files.png = `/images/${baseOutputName}.png`;
-    if (fileStatus.webp) result.files.webp = `/images/${baseOutputName}.webp`;
-    if (fileStatus.png2x) result.files.png2x = `/images/${baseOutputName}@2x.png`;
-    if (fileStatus.webp2x) result.files.webp2x = `/images/${baseOutputName}@2x.webp`;
-    
-    return result;
-  } catch (error) {
-    console.error(`Error processing image ${originalName}:`, error);
-    throw new Error(`Failed to process ${originalName}: ${error.message}`);
+    console.warn(`Webhook ${event} of job ${job.id} to ${webhook.url} failed (attempt ${attempt}): ${webhook.lastError}`);
+    if (attempt <= WEBHOOK_RETRIES) {
+      await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAY * 1000 * 2 ** (attempt - 1)));
+    }
   }
+  
+  webhook.status = 'failed';
+  console.error(`Gave up on webhook ${event} of job ${job.id} after ${webhook.attempts} attempt(s)`);
+}
+
+// Helper function to check if a host may be fetched from whatever its address is
+function privateHostAllowed(hostname) {
+  return URL_FETCH_ALLOW_PRIVATE || URL_FETCH_ALLOWED_HOSTS.includes(hostname.toLowerCase());
 }
 
-// Unified endpoint for uploading and processing images (both single and multiple)
-app.post('/upload', upload.array('images', 10), async (req, res) => {
+// Helper function to validate a URL to fetch an image from (or a redirect to
+// follow). Hosts written as private addresses are refused right away; names
+// are checked once they resolve, see privateRangeLookup.
+function parseFetchUrl(value) {
+  let url;
   try {
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: 'No image files uploaded' });
+    url = new URL(value);
+  } catch (error) {
+    throw httpError(400, `Invalid image URL: ${value}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw httpError(400, `Only http(s) image URLs are supported: ${value}`);
+  }
+  if (url.username || url.password) {
+    throw httpError(400, `Image URLs cannot hold credentials: ${url.host}`);
+  }
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isPrivateAddress(hostname) && !privateHostAllowed(hostname)) {
+    throw httpError(400, `Fetching from private address ${hostname} is not allowed`);
+  }
+  return url;
+}
+
+// DNS lookup for image fetches that refuses names resolving to a private
+// address, so a public name can't be pointed at the internal network
+function privateRangeLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
     }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(httpError(400, `Fetching from ${hostname} (private address ${blocked.address}) is not allowed`));
+    }
+    callback(null, address, family);
+  });
+}
 
-    console.log(`${req.files.length} file(s) uploaded`);
-    
-    // Clear all existing output files
-    console.log("Cleaning previous output files...");
-    fs.readdirSync(uploadDir).forEach(file => {
-      if (file.endsWith('.png') || file.endsWith('.webp')) {
-        try {
-          fs.unlinkSync(path.join(uploadDir, file));
-        } catch (err) {
-          console.error(`Error deleting file ${file}:`, err);
+// Helper function to send a GET request for an image. Resolves with the
+// response, whatever its status; redirects are left to the caller.
+function requestImage(url, signal) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, {
+      signal,
+      lookup: privateHostAllowed(url.hostname) ? undefined : privateRangeLookup,
+      headers: { 'User-Agent': 'image-processor', Accept: 'image/*' }
+    }, resolve);
+    request.on('error', reject);
+  });
+}
+
+// Helper function to read a response body, failing once it is larger than maxBytes
+function readBody(response, maxBytes, url) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let bytes = 0;
+    response.on('data', chunk => {
+      bytes += chunk.length;
+      if (bytes > maxBytes) {
+        response.destroy();
+        reject(httpError(400, `${url} is larger than ${maxBytes / 1024 / 1024}MB`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.on('end', () => resolve(Buffer.concat(chunks)));
+    response.on('error', reject);
+  });
+}
+
+// Helper function to name a fetched image after its URL, with the extension
+// of the type it really is
+function fetchedImageName(url, type) {
+  let name;
+  try {
+    name = path.basename(decodeURIComponent(url.pathname));
+  } catch (error) {
+    name = path.basename(url.pathname);
+  }
+  const { name: base, ext } = path.parse(name.replace(/[\u0000-\u001f]/g, ''));
+  const extension = ext.slice(1).toLowerCase();
+  return type.extensions.includes(extension) ? `${base}${ext}` : `${base || 'image'}.${type.extensions[0]}`;
+}
+
+// Helper function to download an image into the upload directory, the way
+// multer stores uploads. Follows up to URL_FETCH_MAX_REDIRECTS redirects,
+// checking every hop, and trusts the bytes rather than the Content-Type.
+// Resolves with a multer-like file object.
+async function fetchImage(value) {
+  const signal = AbortSignal.timeout(URL_FETCH_TIMEOUT * 1000);
+  let url = parseFetchUrl(value);
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      const response = await requestImage(url, signal);
+
+      if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+        response.resume();
+        if (redirects >= URL_FETCH_MAX_REDIRECTS) {
+          throw httpError(400, `${value} redirects more than ${URL_FETCH_MAX_REDIRECTS} times`);
         }
+        url = parseFetchUrl(new URL(response.headers.location, url).href);
+        continue;
+      }
+
+      if (response.statusCode !== 200) {
+        response.resume();
+        throw httpError(502, `${value} answered with HTTP ${response.statusCode}`);
+      }
+      if (Number(response.headers['content-length']) > MAX_UPLOAD_BYTES) {
+        response.resume();
+        throw httpError(400, `${value} is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024}MB`);
+      }
+
+      const body = await readBody(response, MAX_UPLOAD_BYTES, value);
+      const type = SNIFFED_TYPES.find(candidate => candidate.test(body));
+      if (!type) {
+        throw httpError(400, `${value} is not a supported image`);
+      }
+
+      const filePath = path.join(uploadDir, crypto.randomBytes(16).toString('hex'));
+      await fs.promises.writeFile(filePath, body);
+      return {
+        path: filePath,
+        originalname: fetchedImageName(url, type),
+        mimetype: type.mimetype,
+        size: body.length
+      };
+    }
+  } catch (error) {
+    if (signal.aborted) {
+      throw httpError(504, `${value} did not download within ${URL_FETCH_TIMEOUT}s`);
+    }
+    if (!error.status) {
+      throw httpError(502, `Could not fetch ${value}: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+// Helper function to download a list of image URLs in parallel. If any of
+// them fails, the ones already downloaded are removed and the first error is thrown.
+async function fetchImages(urls) {
+  const results = await Promise.allSettled(urls.map(fetchImage));
+  const failure = results.find(result => result.status === 'rejected');
+  if (failure) {
+    removeUploads(results.filter(result => result.status === 'fulfilled').map(result => result.value));
+    throw failure.reason;
+  }
+  return results.map(result => result.value);
+}
+
+// Helper function to check if a ZIP entry is a symbolic link (Unix mode in
+// the upper half of its external attributes)
+function isSymlinkEntry(entry) {
+  return ((entry.externalFileAttributes >>> 16) & 0o170000) === 0o120000;
+}
+
+// Helper function to extract one ZIP entry into the upload directory, the way
+// multer stores uploads. Resolves with a multer-like file object whose
+// `originalname` is the entry's path ("blog/2024/hero.jpg"), or null for
+// entries that aren't images.
+async function extractArchiveEntry(zipfile, entry) {
+  const name = entry.fileName;
+  const stream = await new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (error, readStream) => (error ? reject(error) : resolve(readStream)));
+  });
+  const body = await readBody(stream, MAX_UPLOAD_BYTES, name);
+  const type = SNIFFED_TYPES.find(candidate => candidate.test(body));
+  if (!type) {
+    return null;
+  }
+
+  const filePath = path.join(uploadDir, crypto.randomBytes(16).toString('hex'));
+  await fs.promises.writeFile(filePath, body);
+  return { path: filePath, originalname: name, mimetype: type.mimetype, size: body.length };
+}
+
+// Helper function to extract the images of an uploaded ZIP. Entries are never
+// written under their own names: their path only becomes the `originalname`
+// of the extracted file, and only after checking it stays inside the archive
+// and out of the RESERVED_DIRS. Folders, hidden files (and __MACOSX/),
+// symbolic links and files that aren't images are skipped. Resolves with
+// { files, skipped }; on any error the files extracted so far are removed.
+function extractArchive(archivePath) {
+  return new Promise((resolve, reject) => {
+    const files = [];
+    const skipped = [];
+    let extractedBytes = 0;
+
+    yauzl.open(archivePath, { lazyEntries: true }, (openError, zipfile) => {
+      if (openError) {
+        return reject(httpError(400, `Not a valid ZIP archive: ${openError.message}`));
+      }
+
+      const fail = error => {
+        zipfile.close();
+        removeUploads(files);
+        reject(error.status ? error : httpError(400, `Could not extract the archive: ${error.message}`));
+      };
+      if (zipfile.entryCount > ARCHIVE_MAX_ENTRIES) {
+        return fail(httpError(400, `The archive has ${zipfile.entryCount} entries; at most ${ARCHIVE_MAX_ENTRIES} are allowed`));
       }
+
+      zipfile.on('error', fail);
+      zipfile.on('end', () => resolve({ files, skipped }));
+      zipfile.on('entry', entry => {
+        const name = entry.fileName;
+        const kind = classifyArchiveEntry(name);
+
+        // Paths escaping the archive are refused outright, whatever yauzl let through
+        if (kind === 'outside') {
+          return fail(httpError(400, `Archive entry ${name} points outside the archive`));
+        }
+        if (kind === 'skip') {
+          return zipfile.readEntry();
+        }
+        if (!isOutputPath(name, RESERVED_DIRS)) {
+          return fail(httpError(400, `Archive entry ${name} can't be used as an output path (${RESERVED_DIRS.join(' and ')} are reserved folder names)`));
+        }
+        if (isSymlinkEntry(entry)) {
+          skipped.push(name);
+          return zipfile.readEntry();
+        }
+        if (entry.isEncrypted()) {
+          return fail(httpError(400, `Archive entry ${name} is encrypted`));
+        }
+        if (entry.uncompressedSize > MAX_UPLOAD_BYTES) {
+          return fail(httpError(400, `${name} is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024}MB`));
+        }
+        extractedBytes += entry.uncompressedSize;
+        if (extractedBytes > ARCHIVE_MAX_EXTRACTED) {
+          return fail(httpError(400, `The archive extracts to more than ${Math.round(ARCHIVE_MAX_EXTRACTED / 1024 / 1024)}MB`));
+        }
+
+        extractArchiveEntry(zipfile, entry)
+          .then(file => {
+            if (file) {
+              files.push(file);
+            } else {
+              skipped.push(name);
+            }
+            zipfile.readEntry();
+          })
+          .catch(fail);
+      });
+      zipfile.readEntry();
+    });
+  });
+}
+
+// Helper function to find the kept original of a job by the base name of its
+// outputs, which starts with their folder for archive uploads ("blog/hero")
+function findOriginal(jobId, baseName) {
+  const dir = jobDirPath(jobId);
+  const originalsDir = dir && path.join(dir, ORIGINALS_DIR, path.dirname(baseName));
+  if (!originalsDir || !fs.existsSync(originalsDir)) {
+    return null;
+  }
+  const entry = fs.readdirSync(originalsDir, { withFileTypes: true })
+    .find(file => file.isFile() && path.parse(file.name).name === path.basename(baseName));
+  return entry ? path.join(originalsDir, entry.name) : null;
+}
+
+// Helper function to read a job's metadata file, or {} without one
+function readJobMeta(jobId) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(jobDirPath(jobId), JOB_META_FILE), 'utf8'));
+  } catch (err) {
+    return {};
+  }
+}
+
+// Helper function to find the original an output of a job was made from, by
+// the sources recorded in the job's metadata file (see recordOutputSources).
+// Other names, and jobs from before sources were recorded, go by base name.
+function findOutputOriginal(jobId, filename) {
+  const sources = readJobMeta(jobId).sources || {};
+  const { dir, name } = path.posix.parse(filename);
+  return findOriginal(jobId, Object.prototype.hasOwnProperty.call(sources, filename) ? sources[filename] : path.posix.join(dir, name));
+}
+
+// Helper function to read a width or height parameter, a whole number of
+// pixels between 1 and `max`
+function parseTransformSize(query, name, max) {
+  const value = Number(query[name]);
+  if (typeof query[name] !== 'string' || !/^\d+$/.test(query[name]) || value < 1 || value > max) {
+    throw httpError(400, `${name} must be a whole number between 1 and ${max}`);
+  }
+  return value;
+}
+
+// Helper function to validate the transformation parameters of an /images
+// request against TRANSFORM_LIMITS. Returns null when there are none.
+function parseTransformParams(query, filename) {
+  if (!['w', 'h', 'fmt', 'q', 'fit'].some(name => query[name] !== undefined)) {
+    return null;
+  }
+  
+  const params = { w: null, h: null, q: null, fit: 'cover' };
+  for (const [name, max] of [['w', TRANSFORM_LIMITS.maxWidth], ['h', TRANSFORM_LIMITS.maxHeight]]) {
+    if (query[name] === undefined) {
+      continue;
+    }
+    const value = parseTransformSize(query, name, max);
+    if (value % TRANSFORM_LIMITS.step !== 0) {
+      throw httpError(400, `${name} must be a multiple of ${TRANSFORM_LIMITS.step}`);
+    }
+    params[name] = value;
+  }
+  
+  // The format defaults to the one of the requested file name
+  params.fmt = query.fmt === undefined ? formatForFile(filename) : query.fmt;
+  if (!TRANSFORM_LIMITS.formats.includes(params.fmt)) {
+    throw httpError(400, `fmt must be one of: ${TRANSFORM_LIMITS.formats.join(', ')}`);
+  }
+  
+  if (query.q !== undefined) {
+    const { minQuality, maxQuality } = TRANSFORM_LIMITS;
+    const value = Number(query.q);
+    if (typeof query.q !== 'string' || !/^\d+$/.test(query.q) || value < minQuality || value > maxQuality) {
+      throw httpError(400, `q must be a whole number between ${minQuality} and ${maxQuality}`);
+    }
+    params.q = value;
+  }
+  
+  if (query.fit !== undefined) {
+    if (!TRANSFORM_FITS.includes(query.fit)) {
+      throw httpError(400, `fit must be one of: ${TRANSFORM_FITS.join(', ')}`);
+    }
+    params.fit = query.fit;
+  }
+  
+  return params;
+}
+
+// Helper function to generate a transformed (auto-oriented and, for jobs with
+// a watermark, watermarked) variant of an original into the derived-image
+// cache. The file is written under a temporary name first, so a half-written
+// variant is never served.
+async function generateTransform(originalPath, params, cachePath, watermark) {
+  const format = OUTPUT_FORMATS[params.fmt];
+  const { pages } = await sharp(originalPath).metadata();
+  const animated = format.animated === true && pages > 1;
+  let pipeline = sharp(originalPath, { animated });
+  if (!animated) {
+    pipeline.rotate();
+  }
+  pipeline.resize(params.w, params.h, { fit: params.fit, withoutEnlargement: true });
+  if (!format.alpha) {
+    pipeline.flatten({ background: '#ffffff' });
+  }
+  
+  // The watermark is sized to the resized image, so that is rendered first
+  if (watermark && !animated) {
+    const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+    const overlay = await watermarkOverlay(watermark, info.width, info.height);
+    pipeline = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+    if (overlay) {
+      pipeline.composite([overlay]);
+    }
+  }
+  
+  const encoder = params.q ? { ...format.defaults, quality: params.q } : format.defaults;
+  const tempPath = `${cachePath}.${generateRandomHash()}.tmp`;
+  await fs.promises.mkdir(path.dirname(cachePath), { recursive: true });
+  await pipeline.toFormat(params.fmt, encoder).toFile(tempPath);
+  await fs.promises.rename(tempPath, cachePath);
+}
+
+// Helper function to render a kept original for comparison with its outputs
+// into the derived-image cache: at most `width` wide and as lossless PNG
+// without metadata, whatever the upload's format. It is turned upright when
+// the job's outputs were (`autoOrient`). Animations show their first frame.
+async function generateOriginalPreview(originalPath, width, autoOrient, cachePath) {
+  const tempPath = `${cachePath}.${generateRandomHash()}.tmp`;
+  await fs.promises.mkdir(path.dirname(cachePath), { recursive: true });
+  const pipeline = sharp(originalPath);
+  if (autoOrient) {
+    pipeline.rotate();
+  }
+  await pipeline
+    .resize(width, null, { withoutEnlargement: true })
+    .png({ compressionLevel: 6 })
+    .toFile(tempPath);
+  await fs.promises.rename(tempPath, cachePath);
+}
+
+// Helper function to record, in the job's metadata file, the original every
+// output of a batch was made from (its output base name), so @2x, breakpoint,
+// crop and hash-named outputs can be transformed too
+function recordOutputSources(job, results) {
+  const sources = {};
+  results.forEach(result => {
+    [result, ...Object.values(result.crops || {})].forEach(set => {
+      Object.values(set.files).forEach(url => {
+        sources[url.slice(job.urlPrefix.length)] = result.outputName;
+      });
     });
+  });
+  const metaPath = path.join(job.dir, JOB_META_FILE);
+  const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  fs.writeFileSync(metaPath, JSON.stringify({ ...meta, sources }));
+}
+
+// Helper function to keep the watermark of a job in its directory
+async function saveJobWatermark(job, watermark) {
+  const { image, ...settings } = watermark;
+  await fs.promises.writeFile(path.join(job.dir, WATERMARK_FILES.image), image);
+  await fs.promises.writeFile(path.join(job.dir, WATERMARK_FILES.settings), JSON.stringify(settings));
+}
+
+// Helper function to load the watermark kept for a job, or null without one
+async function loadJobWatermark(jobId) {
+  const dir = jobDirPath(jobId);
+  if (!dir || !fs.existsSync(path.join(dir, WATERMARK_FILES.settings))) {
+    return null;
+  }
+  const settings = JSON.parse(await fs.promises.readFile(path.join(dir, WATERMARK_FILES.settings), 'utf8'));
+  const image = await fs.promises.readFile(path.join(dir, WATERMARK_FILES.image));
+  return { ...settings, image };
+}
+
+// Helper function to pack icons into rows (tallest first). Returns the
+// positions of each icon, by index, and the sheet size, all at 1x.
+function packSprite(icons, padding) {
+  const area = icons.reduce((sum, icon) => sum + (icon.width + padding) * (icon.height + padding), 0);
+  const maxRowWidth = Math.max(Math.ceil(Math.sqrt(area)), ...icons.map(icon => icon.width));
+  const order = icons.map((icon, index) => index).sort((a, b) => icons[b].height - icons[a].height);
+  
+  const positions = [];
+  let x = 0;
+  let y = 0;
+  let rowHeight = 0;
+  let width = 0;
+  
+  for (const index of order) {
+    const icon = icons[index];
+    if (x > 0 && x + icon.width > maxRowWidth) {
+      x = 0;
+      y += rowHeight + padding;
+      rowHeight = 0;
+    }
+    positions[index] = { x, y };
+    width = Math.max(width, x + icon.width);
+    rowHeight = Math.max(rowHeight, icon.height);
+    x += icon.width + padding;
+  }
+  
+  return { positions, width, height: y + rowHeight };
+}
+
+// Helper function to turn a file base name into a CSS class-safe name
+function cssName(name) {
+  const safe = name.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+  return /^[a-z_]/.test(safe) ? safe : `img-${safe}`;
+}
+
+// Helper function to write the stylesheet, optional SCSS map and preview page of a sprite
+function writeSpriteStylesheets(job, sprite, sheetFiles, settings) {
+  const { prefix, padding } = settings;
+  const px = value => `${value}px`;
+  const set = sheetFiles
+    .map(({ format, filename, density }) => `    url("${snippetUrl(filename)}") type("${OUTPUT_FORMATS[format].contentType}") ${density}x`)
+    .join(',\n');
+  // Browsers without image-set() get the 1x PNG sheet, which they all decode
+  const fallback = sheetFiles.find(file => file.density === 1 && file.format === 'png');
+  
+  const css = [
+    `/* Sprite sheet: ${sprite.icons.length} icons, ${sprite.width}×${sprite.height} at 1x, ${padding}px padding */`,
+    `.${prefix} {`,
+    '  display: inline-block;',
+    `  background-image: url("${snippetUrl(fallback.filename)}");`,
+    '  background-image: image-set(',
+    set,
+    '  );',
+    '  background-repeat: no-repeat;',
+    `  background-size: ${px(sprite.width)} ${px(sprite.height)};`,
+    '}',
+    '',
+    ...sprite.icons.map(icon => [
+      `.${icon.className} {`,
+      `  width: ${px(icon.width)};`,
+      `  height: ${px(icon.height)};`,
+      `  background-position: ${px(-icon.x)} ${px(-icon.y)};`,
+      '}'
+    ].join('\n'))
+  ].join('\n');
+  fs.writeFileSync(path.join(job.dir, SPRITE_FILES.css), `${css}\n`);
+  
+  if (settings.scss) {
+    const scss = [
+      `$${prefix}-sprite-width: ${px(sprite.width)};`,
+      `$${prefix}-sprite-height: ${px(sprite.height)};`,
+      `$${prefix}-sprite-icons: (`,
+      sprite.icons.map(icon =>
+        `  "${icon.name}": (x: ${px(icon.x)}, y: ${px(icon.y)}, width: ${px(icon.width)}, height: ${px(icon.height)})`).join(',\n'),
+      ');',
+      '',
+      `@mixin ${prefix}-sprite($name) {`,
+      `  $icon: map-get($${prefix}-sprite-icons, $name);`,
+      '  width: map-get($icon, width);',
+      '  height: map-get($icon, height);',
+      '  background-position: (-map-get($icon, x)) (-map-get($icon, y));',
+      '}'
+    ].join('\n');
+    fs.writeFileSync(path.join(job.dir, SPRITE_FILES.scss), `${scss}\n`);
+  }
+  
+  const html = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '    <meta charset="UTF-8">',
+    '    <title>Sprite preview</title>',
+    `    <link rel="stylesheet" href="${SPRITE_FILES.css}">`,
+    '    <style>',
+    '        body { font-family: sans-serif; }',
+    '        .icons { display: flex; flex-wrap: wrap; gap: 20px; }',
+    '        figure { margin: 0; text-align: center; }',
+    '        figcaption { font-size: 12px; color: #555; }',
+    '    </style>',
+    '</head>',
+    '<body>',
+    `    <h1>Sprite preview (${sprite.icons.length} icons)</h1>`,
+    '    <div class="icons">',
+    ...sprite.icons.map(icon => [
+      '        <figure>',
+      `            <span class="${prefix} ${icon.className}"></span>`,
+      `            <figcaption>.${escapeHtml(icon.className)}</figcaption>`,
+      '        </figure>'
+    ].join('\n')),
+    '    </div>',
+    '</body>',
+    '</html>'
+  ].join('\n');
+  fs.writeFileSync(path.join(job.dir, SPRITE_FILES.html), `${html}\n`);
+}
+
+// Helper function to pack all uploaded images of a job into one sprite sheet,
+// written at 1x (the images' own size) and @2x as PNG and WebP, together
+// with its stylesheets and preview page
+async function buildSprite(job, files, options) {
+  const settings = options.sprite;
+  
+  // Read sizes and give every icon a unique class name from its base name
+  const usedNames = new Set();
+  const icons = [];
+  for (const [index, file] of files.entries()) {
+    const metadata = await sharp(file.path).metadata();
+    const baseName = cssName(path.parse(file.originalname).name);
+    let name = baseName;
+    for (let n = 2; usedNames.has(name); n++) {
+      name = `${baseName}-${n}`;
+    }
+    usedNames.add(name);
+    icons.push({ index, file, name, width: metadata.width, height: metadata.height, vector: metadata.format === 'svg' });
+  }
+  
+  const layout = packSprite(icons, settings.padding);
+  if (layout.width * 2 > MAX_SPRITE_PX || layout.height * 2 > MAX_SPRITE_PX) {
+    throw httpError(400, `Sprite sheet would be ${layout.width}×${layout.height}px; the @2x sheet must fit in ${MAX_SPRITE_PX}px`);
+  }
+  
+  // Render every icon at both densities; vector sources are rasterized at the
+  // target density instead of being upscaled
+  const layers = { 1: [], 2: [] };
+  for (const [i, icon] of icons.entries()) {
+    const image = job.images[icon.index];
+    image.status = 'processing';
+    image.total = 2;
+    emitJobEvent(job, 'image', { index: icon.index, ...image });
     
-    // Group files by their base name to identify duplicates
-    const fileGroups = new Map();
+    for (const density of [1, 2]) {
+      const input = icon.vector ? sharp(icon.file.path, { density: 72 * density }) : sharp(icon.file.path);
+      const buffer = await input.resize(icon.width * density, icon.height * density).png().toBuffer();
+      const position = layout.positions[i];
+      layers[density].push({ input: buffer, left: position.x * density, top: position.y * density });
+      
+      image.completed = density;
+      emitJobEvent(job, 'variant', {
+        index: icon.index,
+        originalName: image.originalName,
+        key: `sprite${density === 2 ? '2x' : ''}`,
+        crop: null,
+        completed: image.completed,
+        total: image.total,
+        progress: jobProgress(job)
+      });
+    }
     
-    // Group files by base name
-    req.files.forEach(file => {
-      const baseName = path.parse(file.originalname).name;
-      if (!fileGroups.has(baseName)) {
-        fileGroups.set(baseName, []);
-      }
-      fileGroups.get(baseName).push(file);
+    image.status = 'done';
+    emitJobEvent(job, 'image', { index: icon.index, ...image });
+  }
+  
+  // Write the sheets
+  const sheetFiles = [];
+  for (const format of ['webp', 'png']) {
+    for (const density of [1, 2]) {
+      const filename = `${SPRITE_NAME}${density === 2 ? '@2x' : ''}.${OUTPUT_FORMATS[format].extension}`;
+      await sharp({
+        create: {
+          width: layout.width * density,
+          height: layout.height * density,
+          channels: 4,
+          background: { r: 0, g: 0, b: 0, alpha: 0 }
+        }
+      })
+        .composite(layers[density])
+        .toFormat(format, options.encoders[format])
+        .toFile(path.join(job.dir, filename));
+      sheetFiles.push({ format, density, filename, key: `${format}${density === 2 ? '2x' : ''}` });
+    }
+  }
+  
+  const sprite = {
+    width: layout.width,
+    height: layout.height,
+    padding: settings.padding,
+    icons: icons.map((icon, i) => ({
+      name: icon.name,
+      originalName: icon.file.originalname,
+      className: `${settings.prefix}-${icon.name}`,
+      x: layout.positions[i].x,
+      y: layout.positions[i].y,
+      width: icon.width,
+      height: icon.height
+    })),
+    files: {},
+    variants: {}
+  };
+  writeSpriteStylesheets(job, sprite, sheetFiles, settings);
+  
+  sheetFiles.forEach(({ key, filename, density }) => {
+    sprite.files[key] = `/images/${job.id}/${filename}`;
+    sprite.variants[key] = {
+      width: layout.width * density,
+      height: layout.height * density,
+      bytes: fs.statSync(path.join(job.dir, filename)).size
+    };
+  });
+  sprite.stylesheet = `/images/${job.id}/${SPRITE_FILES.css}`;
+  if (settings.scss) {
+    sprite.scss = `/images/${job.id}/${SPRITE_FILES.scss}`;
+  }
+  sprite.preview = `/images/${job.id}/${SPRITE_FILES.html}`;
+  
+  return sprite;
+}
+
+// Helper function to build an .ico file from PNG images. The images are
+// stored as PNG entries, which every current browser reads.
+function encodeIco(images) {
+  const header = Buffer.alloc(6 + 16 * images.length);
+  header.writeUInt16LE(0, 0); // reserved
+  header.writeUInt16LE(1, 2); // type: icon
+  header.writeUInt16LE(images.length, 4);
+  
+  let offset = header.length;
+  images.forEach(({ size, buffer }, i) => {
+    const entry = 6 + 16 * i;
+    header.writeUInt8(size >= 256 ? 0 : size, entry); // width (0 means 256)
+    header.writeUInt8(size >= 256 ? 0 : size, entry + 1); // height
+    header.writeUInt8(0, entry + 2); // no palette
+    header.writeUInt8(0, entry + 3); // reserved
+    header.writeUInt16LE(1, entry + 4); // color planes
+    header.writeUInt16LE(32, entry + 6); // bits per pixel
+    header.writeUInt32LE(buffer.length, entry + 8);
+    header.writeUInt32LE(offset, entry + 12);
+    offset += buffer.length;
+  });
+  
+  return Buffer.concat([header, ...images.map(image => image.buffer)]);
+}
+
+// Helper function to build the <link> tags that reference an icon set
+function iconSetLinkTags(settings) {
+  const favicons = ICON_SET_ICONS.filter(icon => icon.favicon);
+  const appleTouch = ICON_SET_ICONS.find(icon => icon.key === 'appleTouch');
+  return [
+    `<link rel="icon" href="/${ICON_SET_FILES.ico}" sizes="${FAVICON_ICO_SIZES.map(size => `${size}x${size}`).join(' ')}">`,
+    ...favicons.map(icon => `<link rel="icon" type="image/png" sizes="${icon.size}x${icon.size}" href="/${icon.filename}">`),
+    `<link rel="apple-touch-icon" sizes="${appleTouch.size}x${appleTouch.size}" href="/${appleTouch.filename}">`,
+    `<link rel="manifest" href="/${ICON_SET_FILES.manifest}">`,
+    `<meta name="theme-color" content="${settings.themeColor}">`
+  ].join('\n');
+}
+
+// Helper function to turn the single uploaded logo of a job into favicons,
+// app icons, a web manifest and the <link> tags for them
+async function buildIconSet(job, files, options) {
+  if (files.length !== 1) {
+    throw httpError(400, 'Icon set mode takes exactly one image');
+  }
+  
+  const settings = options.iconSet;
+  const file = files[0];
+  const image = job.images[0];
+  image.status = 'processing';
+  image.total = ICON_SET_ICONS.length + 1;
+  emitJobEvent(job, 'image', { index: 0, ...image });
+  
+  const publishProgress = key => {
+    image.completed++;
+    emitJobEvent(job, 'variant', {
+      index: 0,
+      originalName: image.originalName,
+      key,
+      crop: null,
+      completed: image.completed,
+      total: image.total,
+      progress: jobProgress(job)
     });
+  };
+  
+  // Vector logos are rasterized large enough for the biggest icon
+  const metadata = await sharp(file.path).metadata();
+  const largest = Math.max(...ICON_SET_ICONS.map(icon => icon.size));
+  const input = metadata.format === 'svg'
+    ? sharp(file.path, { density: Math.ceil(72 * largest / Math.min(metadata.width, metadata.height)) })
+    : sharp(file.path);
+  const source = await input.png().toBuffer();
+  
+  const iconSet = { files: {}, variants: {} };
+  const faviconPngs = [];
+  for (const icon of ICON_SET_ICONS) {
+    // Logos that aren't square are centred on a transparent square; maskable
+    // icons keep the logo inside the safe zone
+    const inner = icon.maskable ? Math.round(icon.size * MASKABLE_SAFE_ZONE) : icon.size;
+    const offset = Math.floor((icon.size - inner) / 2);
+    const logo = await sharp(source)
+      .resize(inner, inner, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png()
+      .toBuffer();
     
-    // List all groups and their sizes
-    console.log("File groups:");
-    for (const [baseName, files] of fileGroups.entries()) {
-      console.log(`- ${baseName}: ${files.length} file(s)`);
-    }
+    const buffer = await sharp({
+      create: {
+        width: icon.size,
+        height: icon.size,
+        channels: icon.opaque ? 3 : 4,
+        background: icon.opaque ? settings.backgroundColor : { r: 0, g: 0, b: 0, alpha: 0 }
+      }
+    })
+      .composite([{ input: logo, left: offset, top: offset }])
+      .png(options.encoders.png)
+      .toBuffer();
     
-    // Process files with the appropriate hash flag
-    const allProcessPromises = [];
+    fs.writeFileSync(path.join(job.dir, icon.filename), buffer);
+    iconSet.files[icon.key] = `/images/${job.id}/${icon.filename}`;
+    iconSet.variants[icon.key] = { bytes: buffer.length, width: icon.size, height: icon.size };
+    if (FAVICON_ICO_SIZES.includes(icon.size) && icon.favicon) {
+      faviconPngs.push({ size: icon.size, buffer });
+    }
+    publishProgress(icon.key);
+  }
+  
+  const ico = encodeIco(faviconPngs);
+  fs.writeFileSync(path.join(job.dir, ICON_SET_FILES.ico), ico);
+  iconSet.files.ico = `/images/${job.id}/${ICON_SET_FILES.ico}`;
+  iconSet.variants.ico = { bytes: ico.length, sizes: FAVICON_ICO_SIZES };
+  publishProgress('ico');
+  
+  const name = settings.name || altTextFromName(path.parse(file.originalname).name);
+  const manifest = {
+    name,
+    short_name: settings.shortName || name,
+    icons: ICON_SET_ICONS.filter(icon => icon.manifest).map(icon => ({
+      src: `/${icon.filename}`,
+      sizes: `${icon.size}x${icon.size}`,
+      type: 'image/png',
+      purpose: icon.maskable ? 'maskable' : 'any'
+    })),
+    theme_color: settings.themeColor,
+    background_color: settings.backgroundColor,
+    display: 'standalone'
+  };
+  fs.writeFileSync(path.join(job.dir, ICON_SET_FILES.manifest), `${JSON.stringify(manifest, null, 2)}\n`);
+  
+  const tags = iconSetLinkTags(settings);
+  fs.writeFileSync(path.join(job.dir, ICON_SET_FILES.html), `${tags}\n`);
+  
+  image.status = 'done';
+  emitJobEvent(job, 'image', { index: 0, ...image });
+  
+  iconSet.manifest = `/images/${job.id}/${ICON_SET_FILES.manifest}`;
+  iconSet.snippets = { html: tags };
+  return iconSet;
+}
+
+// Helper function to process every uploaded file of a job on its own,
+// publishing progress as it goes. Resolves with the per-image results.
+async function processBatch(job, files, options) {
+  // Process one file, keeping its progress entry in the job up to date
+  const processTracked = async ({ file, index, useHash }) => {
+    const image = job.images[index];
+    image.status = 'processing';
+    emitJobEvent(job, 'image', { index, ...image });
     
-    // Process each group of files
-    for (const [baseName, files] of fileGroups.entries()) {
-      const hasMultipleFiles = files.length > 1;
-      
-      if (hasMultipleFiles) {
-        console.log(`Group ${baseName} has multiple files, adding hashes to all`);
-        for (const file of files) {
-          allProcessPromises.push(processImage(file.path, file.originalname, true));
+    try {
+      const result = await processImage(file.path, file.originalname, useHash, options, job, (completed, total, variant) => {
+        image.completed = completed;
+        image.total = total;
+        if (variant) {
+          emitJobEvent(job, 'variant', {
+            index,
+            originalName: image.originalName,
+            key: variant.key,
+            crop: variant.crop ? variant.crop.name : null,
+            completed,
+            total,
+            progress: jobProgress(job)
+          });
         }
-      } else {
-        console.log(`Group ${baseName} has a single file, using original name`);
-        const file = files[0];
-        allProcessPromises.push(processImage(file.path, file.originalname, false));
+      });
+      image.status = 'done';
+      emitJobEvent(job, 'image', { index, ...image });
+      return result;
+    } catch (error) {
+      image.status = 'failed';
+      emitJobEvent(job, 'image', { index, ...image, error: error.message });
+      throw error;
+    }
+  };
+  
+  // Work through the batch BATCH_CONCURRENCY images at a time; after a
+  // failure no further images are started
+  const planned = planBatch(files, options);
+  const results = new Array(planned.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < planned.length) {
+      const position = next++;
+      try {
+        results[position] = await processTracked(planned[position]);
+      } catch (error) {
+        next = planned.length;
+        throw error;
       }
     }
+  };
+  await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, planned.length) }, worker));
+  return results;
+}
+
+// Helper function to run a job: process its uploaded files (or pack them into
+// a sprite sheet), publishing progress as it goes. Resolves with the same
+// payload the synchronous /upload responds with.
+async function runJob(job, files, options) {
+  job.status = 'processing';
+  emitJobEvent(job, 'status', jobSnapshot(job));
+  
+  try {
+    let result;
+    if (options.sprite) {
+      const sprite = await buildSprite(job, files, options);
+      result = {
+        message: `Packed ${files.length} image(s) into a sprite sheet`,
+        jobId: job.id,
+        images: [],
+        sprite
+      };
+    } else if (options.iconSet) {
+      const iconSet = await buildIconSet(job, files, options);
+      result = {
+        message: `Generated an icon set from ${files[0].originalname}`,
+        jobId: job.id,
+        images: [],
+        iconSet
+      };
+    } else {
+      const results = await processBatch(job, files, options);
+      writeSnippetFiles(job, results);
+      writeManifest(job, results);
+      writeReport(job, results);
+      recordOutputSources(job, results);
+      result = {
+        message: `Successfully processed ${results.length} image(s)`,
+        jobId: job.id,
+        images: results,
+        summary: summarizeBatch(results),
+        manifestUrl: `/jobs/${job.id}/manifest`,
+        reportUrl: `/jobs/${job.id}/report`
+      };
+      results.forEach(image => {
+        image.originalUrl = `/jobs/${job.id}/originals/${image.outputName}`;
+      });
+    }
+    result.expiresAt = job.expiresAt;
     
-    // Wait for all processing to complete
-    const results = await Promise.all(allProcessPromises);
+    job.status = 'done';
+    job.result = result;
+    emitJobEvent(job, 'done', job.result);
+    deliverWebhook(job, 'job.done', job.result);
+    return job.result;
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+    emitJobEvent(job, 'failed', { jobId: job.id, error: error.message });
+    deliverWebhook(job, 'job.failed', { jobId: job.id, error: error.message });
+    throw error;
+  } finally {
+    // The uploaded files are no longer needed, whatever the outcome
+    removeUploads(files);
+  }
+}
+
+// Unified endpoint for uploading and processing images (both single and multiple).
+// With `?async=true` the job is queued and its ID returned right away.
+// With API keys configured, everything but the web UI and /api/health needs
+// one; the requests that start work are also rate limited
+app.use(['/upload', '/upload-from-url', '/upload-archive', '/download-all', '/images', '/jobs', '/api/storage'], requireApiKey);
+app.use(['/upload', '/upload-from-url', '/upload-archive', '/download-all'], limitRequests);
+
+// Helper function to turn received files into a job: read the options sent
+// along, check the quota, then queue the job (`?async=true`) or run it and
+// respond with its result. `fields` holds the raw `options`, the `callbackUrl`
+// and the `watermarkFile`.
+async function startJob(req, res, files, fields) {
+  // Read the processing options sent along with the files
+  const options = parseProcessingOptions(fields.options, { maxTtl: JOB_MAX_TTL });
+  if (fields.watermarkFile && !options.watermark) {
+    throw httpError(400, 'A watermark image needs options.watermark');
+  }
+  if (options.watermark) {
+    options.watermark = await prepareWatermark(options.watermark, fields.watermarkFile);
+  }
+  
+  // Where to report the outcome, if anywhere
+  const callbackUrl = fields.callbackUrl ? await parseClientCallbackUrl(fields.callbackUrl) : WEBHOOK_URL;
+  if (callbackUrl && !WEBHOOK_SECRET) {
+    throw httpError(400, 'Webhooks are not enabled on this server (WEBHOOK_SECRET is not set)');
+  }
+  chargeDailyQuota(req.apiClient, [...files, fields.watermarkFile].filter(Boolean).reduce((sum, file) => sum + file.size, 0));
+  
+  // Give this batch its own output directory so concurrent uploads never collide
+  const job = createJob(files, options);
+  console.log(`Created job ${job.id}`);
+  if (callbackUrl) {
+    job.webhook = {
+      url: callbackUrl,
+      deliveryId: crypto.randomBytes(8).toString('hex'),
+      event: null,
+      status: 'waiting',
+      attempts: 0,
+      lastError: null
+    };
+  }
+  if (options.watermark) {
+    await saveJobWatermark(job, options.watermark);
+  }
+  
+  if (req.query.async === 'true') {
+    enqueueJob(() => runJob(job, files, options));
+    return res.status(202).json({
+      jobId: job.id,
+      statusUrl: `/jobs/${job.id}`,
+      eventsUrl: `/jobs/${job.id}/events`
+    });
+  }
+  
+  res.json(await runJob(job, files, options));
+}
+
+// Helper function to answer a failed upload, with Retry-After for quota errors
+function sendUploadError(res, error) {
+  console.error('Error:', error);
+  if (error.retryAfter) {
+    res.setHeader('Retry-After', error.retryAfter);
+  }
+  res.status(error.status || 500).json({ error: error.message });
+}
+
+app.post('/upload', upload.fields([{ name: 'images', maxCount: MAX_UPLOAD_FILES }, { name: 'watermark', maxCount: 1 }]), async (req, res) => {
+  const files = (req.files && req.files.images) || [];
+  const watermarkFile = req.files && req.files.watermark ? req.files.watermark[0] : null;
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No image files uploaded' });
+    }
     
-    // Delete the original uploaded files
-    req.files.forEach(file => {
-      try {
-        fs.unlinkSync(file.path);
-      } catch (err) {
-        console.error(`Error deleting file ${file.path}:`, err);
-      }
+    console.log(`${files.length} file(s) uploaded`);
+    await startJob(req, res, files, {
+      options: req.body.options,
+      callbackUrl: req.body.callbackUrl,
+      watermarkFile
     });
+  } catch (error) {
+    removeUploads(files);
+    sendUploadError(res, error);
+  } finally {
+    // Once prepared, the watermark is kept in memory and in the job's directory
+    if (watermarkFile) {
+      removeUploads([watermarkFile]);
+    }
+  }
+});
+
+// Same as /upload, but the images are downloaded from a JSON list of `urls`.
+// `options` may be a JSON object or a string; logo watermarks need /upload.
+app.post('/upload-from-url', express.json(), async (req, res) => {
+  let files = [];
+  try {
+    const { urls, options, callbackUrl } = req.body || {};
+    if (!Array.isArray(urls) || urls.length === 0) {
+      return res.status(400).json({ error: 'No image URLs given' });
+    }
+    if (urls.length > MAX_UPLOAD_FILES || !urls.every(url => typeof url === 'string')) {
+      return res.status(400).json({ error: `urls must be a list of up to ${MAX_UPLOAD_FILES} URLs` });
+    }
     
-    res.json({
-      message: `Successfully processed ${results.length} image(s)`,
-      images: results
+    files = await fetchImages(urls);
+    console.log(`${files.length} file(s) fetched`);
+    await startJob(req, res, files, {
+      options: options !== undefined && typeof options !== 'string' ? JSON.stringify(options) : options,
+      callbackUrl
+    });
+  } catch (error) {
+    removeUploads(files);
+    sendUploadError(res, error);
+  }
+});
+
+// Same as /upload, but the images come from a single ZIP `archive`, whatever
+// their number. Folders are kept: outputs go into the same folders of the
+// job, duplicate names only count within a folder and ZIP downloads mirror
+// the tree. Anything in the archive that isn't an image is skipped.
+app.post('/upload-archive', archiveUpload.fields([{ name: 'archive', maxCount: 1 }, { name: 'watermark', maxCount: 1 }]), async (req, res) => {
+  const archive = req.files && req.files.archive ? req.files.archive[0] : null;
+  const watermarkFile = req.files && req.files.watermark ? req.files.watermark[0] : null;
+  let files = [];
+  try {
+    if (!archive) {
+      return res.status(400).json({ error: 'No ZIP archive uploaded' });
+    }
+    if (watermarkFile && watermarkFile.size > MAX_UPLOAD_BYTES) {
+      return res.status(400).json({ error: `The watermark image is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024}MB` });
+    }
+
+    const extracted = await extractArchive(archive.path);
+    files = extracted.files;
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'The archive contains no images' });
+    }
+    console.log(`${files.length} image(s) extracted from ${archive.originalname}, ${extracted.skipped.length} other file(s) skipped`);
+
+    await startJob(req, res, files, {
+      options: req.body.options,
+      callbackUrl: req.body.callbackUrl,
+      watermarkFile
     });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ error: error.message });
+    removeUploads(files);
+    sendUploadError(res, error);
+  } finally {
+    // The archive is extracted, and the watermark kept as for /upload
+    removeUploads([archive, watermarkFile].filter(Boolean));
+  }
+});
+
+// Status of a job
+app.get('/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return jobExpired(req.params.id)
+      ? res.status(410).json({ error: 'Job expired' })
+      : res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(jobSnapshot(job));
+});
+
+// Manifest of a finished job's images (see MANIFEST_FILE), read from its
+// directory so it stays available for as long as the job is kept
+app.get('/jobs/:id/manifest', (req, res) => {
+  const jobDir = jobDirPath(req.params.id);
+  if (!jobDir || !fs.existsSync(jobDir)) {
+    return jobExpired(req.params.id)
+      ? res.status(410).json({ error: 'Job expired' })
+      : res.status(404).json({ error: 'Job not found' });
+  }
+  
+  const manifestPath = path.join(jobDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    const job = jobs.get(req.params.id);
+    return job && (job.status === 'queued' || job.status === 'processing')
+      ? res.status(409).json({ error: 'Job is still processing' })
+      : res.status(404).json({ error: 'This job has no manifest' });
+  }
+  touchJob(req.params.id);
+  res.sendFile(manifestPath);
+});
+
+// The quality report of a job as a CSV download
+app.get('/jobs/:id/report', (req, res) => {
+  const jobDir = jobDirPath(req.params.id);
+  if (!jobDir || !fs.existsSync(jobDir)) {
+    return jobExpired(req.params.id)
+      ? res.status(410).json({ error: 'Job expired' })
+      : res.status(404).json({ error: 'Job not found' });
+  }
+  
+  const reportPath = path.join(jobDir, REPORT_FILE);
+  if (!fs.existsSync(reportPath)) {
+    const job = jobs.get(req.params.id);
+    return job && (job.status === 'queued' || job.status === 'processing')
+      ? res.status(409).json({ error: 'Job is still processing' })
+      : res.status(404).json({ error: 'This job has no quality report' });
+  }
+  touchJob(req.params.id);
+  res.attachment(REPORT_FILE);
+  res.sendFile(reportPath);
+});
+
+// The kept original of an image, by its output name ("hero", or "blog/hero"
+// for archive uploads), to compare the outputs with. `w` resizes it to the
+// width of an output so both share a pixel grid; it is rounded up to
+// TRANSFORM_LIMITS.step like transformations, and renders that aren't cached
+// yet count against the rate limit.
+app.get('/jobs/:id/originals/:name(*)', async (req, res) => {
+  if (jobExpired(req.params.id)) {
+    return res.status(410).json({ error: 'Job expired' });
+  }
+  
+  try {
+    const { id, name } = req.params;
+    const originalPath = jobFilePath(id, name) && findOriginal(id, name);
+    if (!originalPath) {
+      return res.status(404).json({ error: 'Original not found' });
+    }
+    const requestedWidth = req.query.w === undefined ? null : parseTransformSize(req.query, 'w', TRANSFORM_LIMITS.maxWidth);
+    touchJob(id);
+    
+    // Jobs from before autoOrient was recorded were always oriented
+    const autoOrient = readJobMeta(id).autoOrient !== false;
+    
+    // Widths beyond the original's share the full-size render, which is also
+    // no wider than TRANSFORM_LIMITS.maxWidth
+    const { width, height, orientation } = await sharp(originalPath).metadata();
+    const displayWidth = autoOrient && orientation >= 5 ? height : width;
+    const snappedWidth = requestedWidth ? Math.ceil(requestedWidth / TRANSFORM_LIMITS.step) * TRANSFORM_LIMITS.step : Infinity;
+    const previewWidth = Math.min(snappedWidth, TRANSFORM_LIMITS.maxWidth, displayWidth);
+    const { size, mtimeMs } = fs.statSync(originalPath);
+    const key = crypto.createHash('sha1')
+      .update(JSON.stringify([path.relative(jobDirPath(id), originalPath), size, mtimeMs, previewWidth, autoOrient]))
+      .digest('hex')
+      .slice(0, 16);
+    const cachePath = path.join(jobDirPath(id), TRANSFORM_CACHE_DIR, path.posix.dirname(name), `${path.posix.basename(name)}-original-${key}.png`);
+    
+    if (!fs.existsSync(cachePath)) {
+      if (!takeRateLimit(req, res)) {
+        return;
+      }
+      if (!pendingTransforms.has(cachePath)) {
+        const pending = generateOriginalPreview(originalPath, previewWidth, autoOrient, cachePath)
+          .finally(() => pendingTransforms.delete(cachePath));
+        pendingTransforms.set(cachePath, pending);
+      }
+      await pendingTransforms.get(cachePath);
+    }
+    
+    res.setHeader('Cache-Control', `public, max-age=${TRANSFORM_LIMITS.maxAge}`);
+    res.setHeader('Content-Type', 'image/png');
+    fs.createReadStream(cachePath).pipe(res);
+  } catch (error) {
+    console.error('Error rendering original:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Server-Sent Events stream with the progress of a job. Starts with a
+// `status` snapshot and ends after the `done` or `failed` event.
+app.get('/jobs/:id/events', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return jobExpired(req.params.id)
+      ? res.status(410).json({ error: 'Job expired' })
+      : res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+  
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  send('status', jobSnapshot(job));
+  
+  // A finished job has nothing more to stream
+  if (job.status === 'done' || job.status === 'failed') {
+    send(job.status, job.status === 'done' ? job.result : { jobId: job.id, error: job.error });
+    return res.end();
   }
+  
+  const onUpdate = (event, data) => {
+    send(event, data);
+    if (event === 'done' || event === 'failed') {
+      res.end();
+    }
+  };
+  
+  // Comment lines keep idle connections from being closed by proxies
+  const keepAlive = setInterval(() => res.write(':\n\n'), 15000);
+  
+  job.events.on('update', onUpdate);
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    job.events.off('update', onUpdate);
+  });
 });
 
-// Serve processed images
-app.get('/images/:filename', (req, res) => {
-  const filePath = path.join(uploadDir, req.params.filename);
+// Serve an on-the-fly transformation of a kept original from the derived-image
+// cache, e.g. /images/<jobId>/hero.png?w=800&fmt=avif&q=70&fit=cover&h=450
+async function serveTransform(req, res, params) {
+  const { jobId, filename } = req.params;
+  const { dir: folder, name: baseName } = path.posix.parse(filename);
+  const originalPath = jobFilePath(jobId, filename) && findOutputOriginal(jobId, filename);
+  if (!originalPath) {
+    return res.status(404).json({ error: 'Original not found' });
+  }
+  
+  // The cache key covers the parameters and the original, so it doubles as the ETag
+  const { size, mtimeMs } = fs.statSync(originalPath);
+  const key = crypto.createHash('sha1')
+    .update(JSON.stringify([path.relative(jobDirPath(jobId), originalPath), size, mtimeMs, params.w, params.h, params.fmt, params.q, params.fit]))
+    .digest('hex')
+    .slice(0, 16);
+  const format = OUTPUT_FORMATS[params.fmt];
+  const cachePath = path.join(jobDirPath(jobId), TRANSFORM_CACHE_DIR, folder, `${baseName}-${key}.${format.extension}`);
+  
+  res.setHeader('ETag', `"${key}"`);
+  res.setHeader('Cache-Control', `public, max-age=${TRANSFORM_LIMITS.maxAge}`);
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  
+  // Only variants that still have to be generated count against the rate limit
+  if (!fs.existsSync(cachePath)) {
+    if (!takeRateLimit(req, res)) {
+      return;
+    }
+    if (!pendingTransforms.has(cachePath)) {
+      console.log(`Generating ${path.basename(cachePath)} from ${path.basename(originalPath)}`);
+      const pending = loadJobWatermark(jobId)
+        .then(watermark => generateTransform(originalPath, params, cachePath, watermark))
+        .finally(() => pendingTransforms.delete(cachePath));
+      pendingTransforms.set(cachePath, pending);
+    }
+    await pendingTransforms.get(cachePath);
+  }
+  
+  if (req.query.download === 'true') {
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}.${format.extension}"`);
+  }
+  res.setHeader('Content-Type', format.contentType);
+  fs.createReadStream(cachePath).pipe(res);
+}
+
+app.get('/images/:jobId/:filename(*)', async (req, res) => {
+  if (jobExpired(req.params.jobId)) {
+    return res.status(410).json({ error: 'This image has expired' });
+  }
+  touchJob(req.params.jobId);
+  
+  // Requests with transformation parameters are generated from the kept original
+  try {
+    const params = parseTransformParams(req.query, req.params.filename);
+    if (params) {
+      return await serveTransform(req, res, params);
+    }
+  } catch (error) {
+    console.error('Error transforming image:', error);
+    if (!res.headersSent) {
+      res.removeHeader('ETag');
+      res.removeHeader('Cache-Control');
+      return res.status(error.status || 500).json({ error: error.message });
+    }
+    return;
+  }
+  
+  const filePath = jobFilePath(req.params.jobId, req.params.filename);
   console.log(`Serving: ${filePath}`);
   
-  if (!fs.existsSync(filePath)) {
-    console.error(`File not found: ${filePath}`);
-    console.log('Available files:', fs.readdirSync(uploadDir));
+  if (!filePath || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    console.error(`File not found: ${req.params.jobId}/${req.params.filename}`);
     return res.status(404).json({ error: 'File not found' });
   }
   
-  // Determine content type
-  const ext = path.extname(req.params.filename).toLowerCase();
-  const contentType = ext === '.png' ? 'image/png' : 'image/webp';
+  // Determine content type; stylesheets and preview pages go by extension
+  const format = formatForFile(req.params.filename);
   
   // Set download header if requested
   if (req.query.download === 'true') {
-    res.setHeader('Content-Disposition', `attachment; filename="${req.params.filename}"`);
+    res.setHeader('Content-Disposition', `attachment; filename="${path.basename(req.params.filename)}"`);
   }
   
-  res.setHeader('Content-Type', contentType);
+  if (format) {
+    res.setHeader('Content-Type', OUTPUT_FORMATS[format].contentType);
+  } else {
+    res.type(path.extname(req.params.filename));
+  }
   
   // Stream the file to the response
   const fileStream = fs.createReadStream(filePath);
@@ -272,15 +2108,30 @@ app.get('/images/:filename', (req, res) => {
   fileStream.pipe(res);
 });
 
-// Download all images as a zip archive
+// Download all images of a job as a zip archive. `files` optionally limits
+// the archive to some of the job's files; by default everything is included.
+// Outputs of archive uploads keep their folders inside the ZIP.
 app.post('/download-all', express.json(), async (req, res) => {
   try {
-    if (!req.body || !req.body.files || !Array.isArray(req.body.files) || req.body.files.length === 0) {
+    if (!req.body || typeof req.body.jobId !== 'string') {
+      return res.status(400).json({ error: 'No job specified for download' });
+    }
+    
+    const jobId = req.body.jobId;
+    const jobDir = jobDirPath(jobId);
+    if (!jobDir || !fs.existsSync(jobDir)) {
+      return jobExpired(jobId)
+        ? res.status(410).json({ error: 'Job expired' })
+        : res.status(404).json({ error: 'Job not found' });
+    }
+    touchJob(jobId);
+    
+    if (req.body.files !== undefined && (!Array.isArray(req.body.files) || req.body.files.length === 0)) {
       return res.status(400).json({ error: 'No files specified for download' });
     }
     
-    const files = req.body.files;
-    console.log(`Preparing to archive ${files.length} files`);
+    const files = req.body.files || listJobOutputs(jobDir);
+    console.log(`Preparing to archive ${files.length} files of job ${jobId}`);
     
     // Set headers for zip download
     res.setHeader('Content-Type', 'application/zip');
@@ -294,18 +2145,32 @@ app.post('/download-all', express.json(), async (req, res) => {
     // Pipe the archive to the response
     archive.pipe(res);
     
-    // Add each file to the archive
+    // Add each file to the archive. Only files inside the job's directory are
+    // considered, whatever job the URL itself points to.
+    const added = new Set();
     for (const fileUrl of files) {
-      const filename = fileUrl.split('/').pop();
-      const filePath = path.join(uploadDir, filename);
+      const filename = jobFileName(fileUrl);
+      const filePath = jobFilePath(jobId, filename);
       
-      if (fs.existsSync(filePath)) {
-        archive.file(filePath, { name: filename });
+      if (filePath && fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+        if (!added.has(filename)) {
+          archive.file(filePath, { name: filename });
+          added.add(filename);
+        }
       } else {
         console.warn(`File ${filePath} does not exist, skipping`);
       }
     }
     
+    // The markup snippets, manifest, quality report, sprite stylesheets and icon set files of the job always go along
+    const companions = [...Object.values(SNIPPET_FILES), MANIFEST_FILE, REPORT_FILE, ...Object.values(SPRITE_FILES), ...Object.values(ICON_SET_FILES)];
+    for (const filename of companions) {
+      const filePath = path.join(jobDir, filename);
+      if (!added.has(filename) && fs.existsSync(filePath)) {
+        archive.file(filePath, { name: filename });
+      }
+    }
+    
     // Finalize the archive
     await archive.finalize();
     
@@ -319,7 +2184,25 @@ app.post('/download-all', express.json(), async (req, res) => {
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', message: 'Server is running' });
+  res.json({ status: 'ok', message: 'Server is running', authRequired: apiKeys.size > 0 });
+});
+
+// Storage usage of processed output and temp files, and the retention settings
+app.get('/api/storage', (req, res) => {
+  const stored = listStoredJobs();
+  const tempFiles = listTempFiles();
+  const jobBytes = stored.reduce((total, entry) => total + entry.bytes, 0);
+  const tempBytes = tempFiles.reduce((total, file) => total + file.bytes, 0);
+  
+  res.json({
+    usedBytes: jobBytes + tempBytes,
+    quotaBytes: STORAGE_QUOTA,
+    jobs: { count: stored.length, bytes: jobBytes },
+    tempFiles: { count: tempFiles.length, bytes: tempBytes },
+    ttlSeconds: JOB_TTL,
+    maxTtlSeconds: JOB_MAX_TTL,
+    lastSweep
+  });
 });
 
 // Create public directory if it doesn't exist
@@ -330,4 +2213,21 @@ if (!fs.existsSync('public')) {
 // Start the server
 app.listen(port, () => {
   console.log(`Server running on http://localhost:${port}`);
-}); 
\ No newline at end of file
+  if (apiKeys.size > 0) {
+    console.log(`API keys required (${apiKeys.size} configured)`);
+  }
+});
+
+// Apply the retention policy now and then every JANITOR_INTERVAL seconds
+function runJanitor() {
+  try {
+    const sweep = sweepStorage();
+    if (sweep.tempFilesRemoved || sweep.expired || sweep.evicted) {
+      console.log(`Janitor: removed ${sweep.tempFilesRemoved} temp file(s), ${sweep.expired} expired and ${sweep.evicted} evicted job(s)`);
+    }
+  } catch (error) {
+    console.error('Error sweeping storage:', error);
+  }
+}
+runJanitor();
+setInterval(runJanitor, JANITOR_INTERVAL * 1000); 
\ No newline at end of file
@@ -1,11 +1,28 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
 const FormData = require('form-data');
+const { verifyWebhookSignature } = require('./lib/security');
 
 // Base URL for the API
 const BASE_URL = 'http://localhost:3000';
 
+// API key for servers that require one, sent with every request
+if (process.env.API_KEY) {
+  axios.defaults.headers.common['X-API-Key'] = process.env.API_KEY;
+}
+
+/**
+ * Ask for a completion webhook to CALLBACK_URL, when it is set
+ * @param {FormData} formData - Form data of the upload
+ */
+function addCallbackUrl(formData) {
+  if (process.env.CALLBACK_URL) {
+    formData.append('callbackUrl', process.env.CALLBACK_URL);
+  }
+}
+
 /**
  * Upload a single image
  * @param {string} imagePath - Path to the image file
@@ -28,6 +45,7 @@ async function uploadSingleImage(imagePath) {
     
     const formData = new FormData();
     formData.append('images', fs.createReadStream(imagePath));
+    addCallbackUrl(formData);
     
     const response = await axios.post(`${BASE_URL}/upload`, formData, {
       headers: {
@@ -38,6 +56,8 @@ async function uploadSingleImage(imagePath) {
     console.log('Upload successful!');
     console.log('Response:', JSON.stringify(response.data, null, 2));
 
+    console.log(`\nJob ID: ${response.data.jobId}`);
+
     // Log available formats
     const imageData = response.data.images[0];
     console.log(`\nAvailable formats for ${imageData.originalName}:`);
@@ -50,7 +70,7 @@ async function uploadSingleImage(imagePath) {
     if (hasHash) {
       console.log('\nNote: A hash was added to the filename because:');
       console.log('- Either there were multiple files with the same base name');
-      console.log('- Or a file with this name was already processed previously');
+      console.log('- Or a file with this name was already processed in the same job');
     } else {
       console.log('\nNote: Original filename was preserved (unique name)');
     }
@@ -106,6 +126,7 @@ async function uploadMultipleImages(imagePaths) {
     validPaths.forEach(imagePath => {
       formData.append('images', fs.createReadStream(imagePath));
     });
+    addCallbackUrl(formData);
     
     const response = await axios.post(`${BASE_URL}/upload`, formData, {
       headers: {
@@ -116,6 +137,8 @@ async function uploadMultipleImages(imagePaths) {
     console.log('Upload successful!');
     console.log('Response:', JSON.stringify(response.data, null, 2));
 
+    console.log(`\nJob ID: ${response.data.jobId}`);
+
     // Log available formats for each image
     console.log('\nAvailable formats:');
     response.data.images.forEach(imageData => {
@@ -135,16 +158,111 @@ async function uploadMultipleImages(imagePaths) {
 }
 
 /**
- * Download all processed images as a ZIP file
- * @param {string[]} fileUrls - Array of file URLs to download
+ * Have the server download images from URLs and process them
+ * @param {string[]} urls - Array of image URLs
+ */
+async function uploadFromUrls(urls) {
+  try {
+    console.log(`Asking the server to fetch ${urls.length} image(s)...`);
+    const response = await axios.post(`${BASE_URL}/upload-from-url`, {
+      urls,
+      callbackUrl: process.env.CALLBACK_URL
+    });
+    
+    console.log('Upload successful!');
+    console.log(`\nJob ID: ${response.data.jobId}`);
+    response.data.images.forEach(imageData => {
+      console.log(`\nFor ${imageData.originalName}:`);
+      Object.entries(imageData.files).forEach(([format, url]) => {
+        console.log(`- ${format}: ${BASE_URL}${url}`);
+      });
+    });
+  } catch (error) {
+    console.error('Error fetching images:', error.response?.data || error.message);
+  }
+}
+
+/**
+ * Upload a ZIP archive of images, keeping its folders
+ * @param {string} archivePath - Path to the .zip file
+ */
+async function uploadArchive(archivePath) {
+  try {
+    const formData = new FormData();
+    formData.append('archive', fs.createReadStream(archivePath));
+    addCallbackUrl(formData);
+    
+    const response = await axios.post(`${BASE_URL}/upload-archive`, formData, {
+      headers: {
+        ...formData.getHeaders(),
+      },
+      maxBodyLength: Infinity,
+    });
+    
+    console.log(response.data.message);
+    console.log(`\nJob ID: ${response.data.jobId}`);
+    response.data.images.forEach(imageData => {
+      console.log(`- ${imageData.originalName} -> ${imageData.outputName}`);
+    });
+  } catch (error) {
+    console.error('Error uploading archive:', error.response?.data || error.message);
+  }
+}
+
+/**
+ * Upload images as an async job and poll its status until it finishes
+ * @param {string[]} imagePaths - Array of paths to image files
+ */
+async function uploadAsync(imagePaths) {
+  try {
+    const formData = new FormData();
+    imagePaths.forEach(imagePath => {
+      formData.append('images', fs.createReadStream(imagePath));
+    });
+    addCallbackUrl(formData);
+    
+    const response = await axios.post(`${BASE_URL}/upload?async=true`, formData, {
+      headers: {
+        ...formData.getHeaders(),
+      },
+    });
+    
+    const { jobId, statusUrl, eventsUrl } = response.data;
+    console.log(`Job ${jobId} queued`);
+    console.log(`- Status: ${BASE_URL}${statusUrl}`);
+    console.log(`- Events: ${BASE_URL}${eventsUrl}`);
+    
+    // Poll the status endpoint until the job is done or failed
+    let status;
+    do {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      status = (await axios.get(`${BASE_URL}${statusUrl}`)).data;
+      console.log(`${status.status}: ${Math.round(status.progress * 100)}%`);
+    } while (status.status === 'queued' || status.status === 'processing');
+    
+    if (status.status === 'failed') {
+      console.error(`Job failed: ${status.error}`);
+      return;
+    }
+    
+    console.log('Result:', JSON.stringify(status.result, null, 2));
+  } catch (error) {
+    console.error('Error running async job:', error.response?.data || error.message);
+  }
+}
+
+/**
+ * Download processed images of a job as a ZIP file
+ * @param {string} jobId - ID of the job returned by the upload
+ * @param {string[]} fileUrls - Array of file URLs to download (all files of the job if empty)
  */
-async function downloadAllAsZip(fileUrls) {
+async function downloadAllAsZip(jobId, fileUrls) {
   try {
     console.log('Requesting ZIP download...');
     
     const response = await axios.post(
       `${BASE_URL}/download-all`, 
-      { files: fileUrls },
+      { jobId, files: fileUrls.length > 0 ? fileUrls : undefined },
       { 
         responseType: 'stream',
         headers: { 'Content-Type': 'application/json' }
@@ -172,6 +290,76 @@ async function downloadAllAsZip(fileUrls) {
   }
 }
 
+/**
+ * Fetch the image manifest of a job and list the variants of each image
+ * @param {string} jobId - ID of the job returned by the upload
+ */
+async function showManifest(jobId) {
+  try {
+    const response = await axios.get(`${BASE_URL}/jobs/${jobId}/manifest`);
+    const manifest = response.data;
+    
+    console.log(`Manifest generated at ${manifest.generatedAt}`);
+    Object.entries(manifest.images).forEach(([name, image]) => {
+      console.log(`\n${name}:`);
+      image.variants.forEach(variant => {
+        console.log(`- ${variant.path}: ${variant.format} ${variant.width}x${variant.height} (${variant.descriptor}), ${variant.bytes} bytes`);
+      });
+    });
+  } catch (error) {
+    console.error('Error fetching manifest:', error.response?.data || error.message);
+  }
+}
+
+/**
+ * Run a local HTTP server that receives completion webhooks and checks their
+ * signature against WEBHOOK_SECRET. Runs until stopped with Ctrl+C.
+ * @param {number} port - Port to listen on
+ * @param {number} failFirst - Number of deliveries to answer with 500, to see the retries
+ */
+function receiveWebhooks(port, failFirst) {
+  const secret = process.env.WEBHOOK_SECRET || '';
+  if (!secret) {
+    console.warn('Warning: WEBHOOK_SECRET is not set, so signatures cannot be checked');
+  }
+  let received = 0;
+  
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received++;
+      const body = Buffer.concat(chunks);
+      const valid = verifyWebhookSignature(body, req.headers['x-webhook-signature'], secret);
+      
+      console.log(`\n${req.headers['x-webhook-event']} (delivery ${req.headers['x-webhook-delivery']}, attempt ${req.headers['x-webhook-attempt']})`);
+      console.log(`Signature: ${valid ? 'valid' : 'INVALID'}`);
+      
+      if (received <= failFirst) {
+        console.log(`Answering 500 (${received}/${failFirst} failures requested)`);
+        res.writeHead(500).end();
+        return;
+      }
+      try {
+        console.log('Payload:', JSON.stringify(JSON.parse(body), null, 2));
+      } catch (error) {
+        console.log('Payload is not JSON:', body.toString());
+      }
+      res.writeHead(valid ? 204 : 401).end();
+    });
+  });
+  
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.on('close', resolve);
+    server.listen(port, () => {
+      console.log(`Receiving webhooks on http://localhost:${port}/`);
+      console.log(`Upload with: CALLBACK_URL=http://localhost:${port}/ node test.js upload-async /path/to/image.jpg`);
+      console.log('(the server needs URL_FETCH_ALLOWED_HOSTS=localhost to call back to this machine)');
+    });
+  });
+}
+
 // Main function to handle different test scenarios
 async function main() {
   const args = process.argv.slice(2);
@@ -181,7 +369,15 @@ async function main() {
 Usage:
   Single image upload:  node test.js upload /path/to/image.jpg
   Multiple uploads:     node test.js upload-multiple /path/to/image1.jpg /path/to/image2.png ...
-  Download example:     node test.js download /images/file1.png /images/file2.webp ...
+  Async job:            node test.js upload-async /path/to/image1.jpg /path/to/image2.png ...
+  Upload from URLs:     node test.js upload-urls https://example.com/image1.jpg https://example.com/image2.png ...
+  ZIP archive upload:   node test.js upload-archive /path/to/assets.zip
+  Download example:     node test.js download <jobId> [/images/<jobId>/file1.png /images/<jobId>/file2.webp ...]
+  Image manifest:       node test.js manifest <jobId>
+  Webhook receiver:     node test.js receive-webhooks [port] [failFirst]
+
+Set API_KEY to send an API key with every request, and CALLBACK_URL to ask
+uploads for a completion webhook. The receiver checks signatures against WEBHOOK_SECRET.
     `);
     return;
   }
@@ -194,8 +390,23 @@ Usage:
   else if (command === 'upload-multiple' && args.length >= 2) {
     await uploadMultipleImages(args.slice(1));
   }
+  else if (command === 'upload-urls' && args.length >= 2) {
+    await uploadFromUrls(args.slice(1));
+  }
+  else if (command === 'upload-archive' && args.length >= 2) {
+    await uploadArchive(args[1]);
+  }
+  else if (command === 'upload-async' && args.length >= 2) {
+    await uploadAsync(args.slice(1));
+  }
   else if (command === 'download' && args.length >= 2) {
-    await downloadAllAsZip(args.slice(1));
+    await downloadAllAsZip(args[1], args.slice(2));
+  }
+  else if (command === 'manifest' && args.length >= 2) {
+    await showManifest(args[1]);
+  }
+  else if (command === 'receive-webhooks') {
+    await receiveWebhooks(Number(args[1]) || 4000, Number(args[2]) || 0);
   }
   else {
     console.error('Invalid command or missing arguments');
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+test('the package entry point exports the library without starting the server', () => {
+  const library = require('..');
+  ['parseProcessingOptions', 'processImage', 'planBatch', 'writeManifest', 'loadManifest', 'writeSnippetFiles', 'writeReport']
+    .forEach(name => assert.equal(typeof library[name], 'function', name));
+  assert.equal(library.MANIFEST_FILE, 'images-manifest.json');
+  assert.equal(require.cache[require.resolve('../server')], undefined);
+});
+
+test('loadManifest resolves images by name and crop', () => {
+  const { MANIFEST_FILE, loadManifest } = require('..');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+  const variant = { path: 'hero.webp', format: 'webp', width: 1200, height: 800 };
+  const crop = { path: 'hero-avatar.webp', format: 'webp', width: 800, height: 800 };
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify({
+    version: 1,
+    images: { 'hero.jpg': { variants: [variant], crops: { avatar: { variants: [crop] } } } }
+  }));
+
+  try {
+    const { resolve } = loadManifest(dir);
+    assert.equal(resolve('src/assets/hero.jpg').variants[0].file, path.join(dir, 'hero.webp'));
+    assert.equal(resolve('hero.jpg', { crop: 'avatar' }).variants[0].file, path.join(dir, 'hero-avatar.webp'));
+    assert.equal(resolve('logo.png'), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { sanitizeMetadata } = require('../lib/metadata');
+
+const STRIP_ALL = { exif: false, xmp: false, iptc: false, gps: false, orientation: null };
+
+// Helper function to assert that sanitizing `input` fails with a message matching `pattern`
+function assertMalformed(input, format, pattern) {
+  assert.throws(() => sanitizeMetadata(input, format, STRIP_ALL), error => !(error instanceof RangeError) && pattern.test(error.message));
+}
+
+test('sanitizeMetadata strips EXIF and keeps the orientation of a JPEG sharp can still read', async () => {
+  const input = await sharp({ create: { width: 8, height: 4, channels: 3, background: '#c84828' } })
+    .jpeg()
+    .withExif({ IFD0: { Make: 'Camera', Software: 'Editor' } })
+    .toBuffer();
+  const tagged = await sharp(input).withMetadata({ orientation: 6 }).jpeg().toBuffer();
+
+  const output = sanitizeMetadata(tagged, 'jpeg', { ...STRIP_ALL, orientation: 6 });
+  assert.equal(output.includes(Buffer.from('Editor')), false);
+  const metadata = await sharp(output).metadata();
+  assert.equal(metadata.orientation, 6);
+  assert.equal(metadata.width, 8);
+});
+
+test('sanitizeMetadata rejects JPEG segments that run past the end of the file', () => {
+  // SOI, then an APP1 segment claiming 4096 bytes with only a few present
+  const truncated = Buffer.from([0xff, 0xd8, 0xff, 0xe1, 0x10, 0x00, 0x45, 0x78, 0x69, 0x66, 0x00, 0x00]);
+  assertMalformed(truncated, 'jpeg', /JPEG segment at byte 2/);
+
+  const invalidLength = Buffer.from([0xff, 0xd8, 0xff, 0xe1, 0x00, 0x01, 0x00, 0x00]);
+  assertMalformed(invalidLength, 'jpeg', /invalid length 1/);
+});
+
+test('sanitizeMetadata rejects PNG chunks that run past the end of the file', async () => {
+  const input = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#c84828' } }).png().toBuffer();
+
+  // IHDR (13 bytes of data) ends at byte 33; cut the file inside the data of the next chunk
+  assertMalformed(input.subarray(0, 50), 'png', /PNG chunk at byte 33/);
+
+  // A tEXt chunk claiming more data than the file holds
+  const text = Buffer.alloc(20);
+  text.writeUInt32BE(1000, 0);
+  text.write('tEXtComment', 4, 'latin1');
+  assertMalformed(Buffer.concat([input.subarray(0, 33), text]), 'png', /PNG chunk at byte 33/);
+});
+
+test('sanitizeMetadata rejects WebP chunks that run past the end of the file', async () => {
+  const input = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#c84828' } }).webp().toBuffer();
+  assertMalformed(input.subarray(0, input.length - 4), 'webp', /WebP chunk at byte 12/);
+
+  // An EXIF chunk claiming more data than the file holds
+  const exif = Buffer.from('EXIF\0\0\0\0MM\0*', 'latin1');
+  exif.writeUInt32LE(500, 4);
+  assertMalformed(Buffer.concat([input, exif]), 'webp', new RegExp(`WebP chunk at byte ${input.length}`));
+});
+
+test('sanitizeMetadata leaves other formats alone', () => {
+  assert.equal(sanitizeMetadata(Buffer.from('GIF89a'), 'gif', STRIP_ALL), null);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseProcessingOptions } = require('../lib/options');
+
+// Helper function to assert that options are rejected with a 400 and a message matching `pattern`
+function assertRejected(options, pattern) {
+  assert.throws(
+    () => parseProcessingOptions(typeof options === 'string' ? options : JSON.stringify(options), { maxTtl: 3600 }),
+    error => error.status === 400 && pattern.test(error.message)
+  );
+}
+
+test('parseProcessingOptions fills in the defaults', () => {
+  for (const raw of [undefined, '', '{}']) {
+    const options = parseProcessingOptions(raw);
+    assert.deepEqual(options.widths, [1200]);
+    assert.deepEqual(options.formats, ['png', 'webp', 'avif', 'jpeg']);
+    assert.equal(options.retina, true);
+    assert.equal(options.naming, 'original');
+    assert.equal(options.autoOrient, true);
+    assert.deepEqual(options.metadata, { exif: false, xmp: false, iptc: false, gps: false });
+  }
+});
+
+test('parseProcessingOptions rejects malformed JSON and non-objects', () => {
+  assertRejected('{widths: [800]}', /valid JSON/);
+  assertRejected('[800]', /JSON object/);
+  assertRejected('null', /JSON object/);
+  assertRejected('"hero"', /JSON object/);
+});
+
+test('parseProcessingOptions bounds widths and breakpoints', () => {
+  assert.deepEqual(parseProcessingOptions(JSON.stringify({ widths: [400, 800] })).widths, [400, 800]);
+  assertRejected({ widths: [] }, /options\.widths/);
+  assertRejected({ widths: [1, 2, 3, 4, 5, 6] }, /options\.widths/);
+  assertRejected({ widths: [0] }, /whole numbers/);
+  assertRejected({ widths: [5001] }, /whole numbers/);
+  assertRejected({ widths: [800.5] }, /whole numbers/);
+  assertRejected({ widths: ['800'] }, /whole numbers/);
+  assertRejected({ breakpoints: [320, 640], widths: [800] }, /cannot be combined/);
+  assertRejected({ breakpoints: [320, 99999] }, /whole numbers/);
+});
+
+test('parseProcessingOptions only accepts known formats and settings', () => {
+  assertRejected({ formats: [] }, /non-empty list/);
+  assertRejected({ formats: ['bmp'] }, /Unsupported output format: bmp/);
+  assertRejected({ formats: ['gif'] }, /still images too/);
+  assertRejected({ webp: { quality: 101 } }, /options\.webp\.quality/);
+  assertRejected({ webp: { lossless: 'yes' } }, /true or false/);
+  assertRejected({ png: { command: 'rm -rf /' } }, /Unknown png setting/);
+});
+
+test('parseProcessingOptions validates naming, metadata and ttl', () => {
+  assert.equal(parseProcessingOptions(JSON.stringify({ naming: 'hash' })).naming, 'hash');
+  assertRejected({ naming: 'random' }, /options\.naming must be one of: original, hash/);
+  assertRejected({ metadata: { gps: true } }, /needs options\.metadata\.exif/);
+  assertRejected({ metadata: { camera: true } }, /Unknown metadata kind/);
+  assertRejected({ ttl: 30 }, /options\.ttl/);
+  assertRejected({ ttl: 7200 }, /options\.ttl/);
+  assert.throws(() => parseProcessingOptions(JSON.stringify({ ttl: 600 })), /not supported here/);
+});
+
+test('parseProcessingOptions validates crops, focal points and exclusive modes', () => {
+  assertRejected({ crops: ['panorama'] }, /Unknown crop preset/);
+  assertRejected({ crops: [{ name: '../hero', ratio: '16:9' }] }, /needs a name/);
+  assertRejected({ crops: [{ name: 'thin', ratio: '1:20' }] }, /Invalid ratio/);
+  assertRejected({ crops: ['hero', 'hero'] }, /unique names/);
+  assertRejected({ focalPoints: { 'hero.jpg': { x: 1.5, y: 0.5 } } }, /focalPoints/);
+  assertRejected({ sprite: true, crops: ['hero'] }, /cannot be combined/);
+  assertRejected({ iconSet: true, sprite: true }, /cannot be combined/);
+  assertRejected({ sprite: { prefix: 'a{b}' } }, /CSS class name/);
+  assertRejected({ watermark: { text: 'x'.repeat(500) } }, /options\.watermark\.text/);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseProcessingOptions } = require('../lib/options');
+const { planBatch } = require('../lib/process');
+
+// Helper function to plan a batch of file names with the given options,
+// returning the useHash flag of every name
+function planNames(names, options = {}) {
+  const files = names.map(name => ({ path: `/tmp/${name}`, originalname: name }));
+  const planned = planBatch(files, parseProcessingOptions(JSON.stringify(options)));
+  return Object.fromEntries(planned.map(({ file, useHash }) => [file.originalname, useHash]));
+}
+
+test('planBatch adds hashes to all files sharing a base name within a folder', () => {
+  assert.deepEqual(planNames(['hero.jpg', 'hero.png', 'logo.png', 'blog/hero.jpg']), {
+    'hero.jpg': true,
+    'hero.png': true,
+    'logo.png': false,
+    'blog/hero.jpg': false
+  });
+});
+
+test('planBatch adds a hash to files whose outputs another file already produces', () => {
+  assert.deepEqual(planNames(['hero.jpg', 'hero@2x.jpg']), { 'hero.jpg': false, 'hero@2x.jpg': true });
+  assert.deepEqual(planNames(['hero.jpg', 'hero@2x.jpg'], { retina: false }), { 'hero.jpg': false, 'hero@2x.jpg': false });
+  assert.deepEqual(planNames(['hero.jpg', 'hero-400.jpg'], { widths: [400, 800] }), { 'hero.jpg': false, 'hero-400.jpg': false });
+  assert.deepEqual(planNames(['photo.jpg', 'photo-avatar.jpg'], { crops: ['avatar'] }), { 'photo.jpg': false, 'photo-avatar.jpg': true });
+  assert.deepEqual(planNames(['photo-avatar.jpg', 'photo.jpg'], { crops: ['avatar'] }), { 'photo-avatar.jpg': false, 'photo.jpg': true });
+});
+
+test('planBatch compares breakpoint outputs by variant set', () => {
+  const options = { breakpoints: [320, 640], crops: ['avatar'] };
+  assert.deepEqual(planNames(['hero.jpg', 'hero-640w.jpg'], options), { 'hero.jpg': false, 'hero-640w.jpg': false });
+  assert.deepEqual(planNames(['photo.jpg', 'photo-avatar.jpg'], options), { 'photo.jpg': false, 'photo-avatar.jpg': true });
+});
+
+test('planBatch leaves clashing names alone with content-hash naming', () => {
+  assert.deepEqual(planNames(['hero.jpg', 'hero@2x.jpg'], { naming: 'hash' }), { 'hero.jpg': false, 'hero@2x.jpg': false });
+});
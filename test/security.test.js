@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isPrivateAddress, isOutputPath, classifyArchiveEntry, signWebhook, verifyWebhookSignature } = require('../lib/security');
+
+test('isPrivateAddress refuses loopback, private, link-local and reserved addresses', () => {
+  [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255', '192.0.2.1', '198.51.100.1',
+    '203.0.113.1', '198.18.0.1', '198.19.255.255',
+    '::1', '::', 'fe80::1', 'fd00::1', 'ff02::1', '64:ff9b::7f00:1'
+  ].forEach(address => assert.equal(isPrivateAddress(address), true, address));
+});
+
+test('isPrivateAddress sees through IPv4-mapped IPv6 addresses', () => {
+  assert.equal(isPrivateAddress('::ffff:127.0.0.1'), true);
+  assert.equal(isPrivateAddress('::FFFF:169.254.169.254'), true);
+  assert.equal(isPrivateAddress('::ffff:7f00:1'), true);
+  assert.equal(isPrivateAddress('::ffff:93.184.216.34'), false);
+});
+
+test('isPrivateAddress refuses 6to4 and Teredo addresses, which embed an IPv4 address', () => {
+  // 6to4 for 127.0.0.1, and Teredo with the client address 127.0.0.1 (obfuscated as 80ff:fffe)
+  assert.equal(isPrivateAddress('2002:7f00:1::'), true);
+  assert.equal(isPrivateAddress('2002:7f00:1::1'), true);
+  assert.equal(isPrivateAddress('2001:0:4136:e378:8000:63bf:80ff:fffe'), true);
+});
+
+test('isPrivateAddress allows public addresses', () => {
+  ['93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:2800:220:1:248:1893:25c8:1946', '2001:4860:4860::8888']
+    .forEach(address => assert.equal(isPrivateAddress(address), false, address));
+});
+
+test('isPrivateAddress treats anything that is not an IP address as private', () => {
+  ['localhost', '', '127.1', '0x7f000001'].forEach(address => assert.equal(isPrivateAddress(address), true, address));
+});
+
+test('classifyArchiveEntry refuses paths outside the archive', () => {
+  ['../evil.png', 'a/../../evil.png', '/etc/passwd', 'C:/Windows/evil.png', 'c:evil.png']
+    .forEach(name => assert.equal(classifyArchiveEntry(name), 'outside', name));
+});
+
+test('classifyArchiveEntry skips folders, hidden files and __MACOSX', () => {
+  ['blog/', '.DS_Store', 'blog/.hidden.png', '__MACOSX/blog/._hero.png']
+    .forEach(name => assert.equal(classifyArchiveEntry(name), 'skip', name));
+  assert.equal(classifyArchiveEntry('blog/2024/hero.jpg'), 'file');
+});
+
+test('isOutputPath keeps names inside the job and out of reserved folders', () => {
+  const reserved = ['originals', 'cache'];
+  ['hero.webp', 'blog/2024/hero.webp', 'originals.png', 'blog/originals/hero.png']
+    .forEach(name => assert.equal(isOutputPath(name, reserved), true, name));
+  [
+    '', '../hero.png', 'blog/../../hero.png', '.job.json', 'blog//hero.png', 'blog\\hero.png',
+    'hero\u0000.png', 'originals/hero.jpg', 'cache/hero-1234.webp'
+  ].forEach(name => assert.equal(isOutputPath(name, reserved), false, JSON.stringify(name)));
+});
+
+test('signWebhook is the hex HMAC-SHA256 of the body', () => {
+  // echo -n '{"event":"job.done"}' | openssl dgst -sha256 -hmac secret
+  assert.equal(
+    signWebhook('{"event":"job.done"}', 'secret'),
+    'sha256=e71b27b7ccb96c06dc23a3d80e8b08f246ae11d6aa73c9bd8d31b4b5b1e5bd5e'
+  );
+  assert.match(signWebhook(Buffer.from('body'), 'secret'), /^sha256=[0-9a-f]{64}$/);
+  assert.notEqual(signWebhook('body', 'secret'), signWebhook('body', 'other secret'));
+});
+
+test('verifyWebhookSignature accepts only the signature of the same body and secret', () => {
+  const body = Buffer.from('{"event":"job.done","jobId":"3f9a2c7d41b0"}');
+  const signature = signWebhook(body, 'secret');
+  assert.equal(verifyWebhookSignature(body, signature, 'secret'), true);
+  assert.equal(verifyWebhookSignature(body, signature, 'other secret'), false);
+  assert.equal(verifyWebhookSignature(Buffer.from('{"event":"job.failed"}'), signature, 'secret'), false);
+  assert.equal(verifyWebhookSignature(body, signature.slice(0, -1), 'secret'), false);
+  assert.equal(verifyWebhookSignature(body, undefined, 'secret'), false);
+});